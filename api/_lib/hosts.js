@@ -0,0 +1,19 @@
+// Host allowlists for the proxies, so they can't be abused as open relays
+// Extra hosts come from a comma-separated env var, e.g.
+//   GITLAB_ALLOWED_HOSTS=gitlab.example.com,git.corp.io
+export function getAllowedHosts(defaultHosts, envValue = '') {
+    const extra = envValue
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+    return [...defaultHosts, ...extra];
+}
+
+// Hostname with optional port, no scheme/path (e.g. gitlab.example.com:8443)
+export function isValidHost(host) {
+    return typeof host === 'string' && /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*(:\d{1,5})?$/i.test(host);
+}
+
+export function isAllowedHost(host, allowedHosts) {
+    return isValidHost(host) && allowedHosts.includes(host.toLowerCase());
+}
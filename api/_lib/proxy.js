@@ -0,0 +1,180 @@
+import { getAllowedHosts, isAllowedHost } from './hosts.js';
+
+// Stable error schema shared by every proxy:
+//   { error: { code, message, retryAfter } }
+// The client maps `code` to status-line messages, `message` is for humans/logs
+export const ERROR_CODES = {
+    NOT_CONFIGURED: 'NOT_CONFIGURED',
+    METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+    MISSING_USERNAME: 'MISSING_USERNAME',
+    INVALID_USERNAME: 'INVALID_USERNAME',
+    INVALID_RANGE: 'INVALID_RANGE',
+    HOST_NOT_ALLOWED: 'HOST_NOT_ALLOWED',
+    USER_NOT_FOUND: 'USER_NOT_FOUND',
+    RATE_LIMITED: 'RATE_LIMITED',
+    UPSTREAM_TIMEOUT: 'UPSTREAM_TIMEOUT',
+    UPSTREAM_ERROR: 'UPSTREAM_ERROR'
+};
+
+const UPSTREAM_TIMEOUT_MS = 8000;
+const MAX_RETRIES = 2;
+const BASE_DELAY_MS = 300;
+const MAX_DELAY_MS = 3000;
+
+// Every upstream call of one request, retries included, must be done by then: it stays under
+// the 10s default function duration, so the typed error still reaches the client
+const REQUEST_BUDGET_MS = 9000;
+
+// GitLab/Gitea usernames: letters, digits, '_', '-', '.', not starting with a symbol
+const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,254}$/;
+
+export function isValidUsername(username) {
+    return typeof username === 'string' && USERNAME_PATTERN.test(username);
+}
+
+export function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+export function sendError(res, status, code, message, retryAfter = null) {
+    if (retryAfter !== null) {
+        res.setHeader('Retry-After', String(retryAfter));
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(status).json({ error: { code, message, retryAfter } });
+}
+
+export class UpstreamTimeoutError extends Error {
+    constructor(url) {
+        super(`Upstream request timed out: ${url}`);
+        this.name = 'UpstreamTimeoutError';
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After header (seconds or HTTP date) -> seconds, or null
+export function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Deadline (ms timestamp) for the upstream calls of one request
+export function createDeadline(budgetMs = REQUEST_BUDGET_MS) {
+    return Date.now() + budgetMs;
+}
+
+// fetch with a timeout, retrying 5xx/429/timeouts with exponential backoff
+// All attempts share one deadline: an attempt is cut short and no retry starts past it
+// Resolves to the last response (which may still be an error status)
+export async function fetchWithRetry(url, options = {}, {
+    timeoutMs = UPSTREAM_TIMEOUT_MS,
+    retries = MAX_RETRIES,
+    baseDelayMs = BASE_DELAY_MS,
+    deadline = createDeadline()
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) throw new UpstreamTimeoutError(url);
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), Math.min(timeoutMs, remaining));
+        let response = null;
+
+        try {
+            response = await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+            if (attempt >= retries) throw new UpstreamTimeoutError(url);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const retryable = !response || response.status === 429 || response.status >= 500;
+        if (!retryable || attempt >= retries) return response;
+
+        // Honour Retry-After when it's short, otherwise back off exponentially
+        const retryAfter = parseRetryAfter(response?.headers.get('retry-after'));
+        const backoff = baseDelayMs * 2 ** attempt;
+        const delay = retryAfter !== null ? retryAfter * 1000 : backoff;
+        if (delay > MAX_DELAY_MS || Date.now() + delay >= deadline) {
+            if (!response) throw new UpstreamTimeoutError(url);
+            return response;
+        }
+        await sleep(delay);
+    }
+}
+
+// Wrap a GET handler with the preamble every proxy shares: CORS, preflight and 405
+export function createGetHandler(handle) {
+    return async function handler(req, res) {
+        // CORS headers go on every response, errors included
+        setCorsHeaders(res);
+
+        if (req.method === 'OPTIONS') {
+            return res.status(204).end();
+        }
+        if (req.method && req.method !== 'GET') {
+            res.setHeader('Allow', 'GET, OPTIONS');
+            return sendError(res, 405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Only GET is supported');
+        }
+
+        return handle(req, res);
+    };
+}
+
+// Build a GET-only proxy for a per-user JSON endpoint on an allowlisted host
+//   name            - platform name used in messages ('GitLab')
+//   defaultHosts    - always allowed, the first one is used when no host is given
+//   allowedHostsEnv - env var listing extra comma-separated hosts
+//   buildUrl        - (host, username) -> upstream URL
+export function createProxyHandler({ name, defaultHosts, allowedHostsEnv, buildUrl }) {
+    return createGetHandler(async (req, res) => {
+        const { username, host = defaultHosts[0] } = req.query;
+
+        if (!username) {
+            return sendError(res, 400, ERROR_CODES.MISSING_USERNAME, 'Username is required');
+        }
+        if (!isValidUsername(username)) {
+            return sendError(res, 400, ERROR_CODES.INVALID_USERNAME, `"${username}" is not a valid ${name} username`);
+        }
+
+        // Self-hosted instances must be allowlisted via the env var
+        const allowedHosts = getAllowedHosts(defaultHosts, process.env[allowedHostsEnv]);
+        if (!isAllowedHost(host, allowedHosts)) {
+            return sendError(res, 403, ERROR_CODES.HOST_NOT_ALLOWED, `Host "${host}" is not allowed (see ${allowedHostsEnv})`);
+        }
+
+        try {
+            const response = await fetchWithRetry(buildUrl(host.toLowerCase(), encodeURIComponent(username)), {
+                headers: { Accept: 'application/json' }
+            });
+
+            if (response.status === 404) {
+                return sendError(res, 404, ERROR_CODES.USER_NOT_FOUND, `User "${username}" not found on ${name}`);
+            }
+            if (response.status === 429) {
+                const retryAfter = parseRetryAfter(response.headers.get('retry-after')) ?? 60;
+                return sendError(res, 429, ERROR_CODES.RATE_LIMITED, `${name} is rate limiting requests`, retryAfter);
+            }
+            if (!response.ok) {
+                return sendError(res, 502, ERROR_CODES.UPSTREAM_ERROR, `${name} responded with ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate');
+            return res.status(200).json(data);
+        } catch (error) {
+            if (error instanceof UpstreamTimeoutError) {
+                return sendError(res, 504, ERROR_CODES.UPSTREAM_TIMEOUT, `${name} took too long to respond`);
+            }
+            return sendError(res, 502, ERROR_CODES.UPSTREAM_ERROR, `Failed to fetch ${name} data`);
+        }
+    });
+}
@@ -0,0 +1,10 @@
+import { createProxyHandler } from './_lib/proxy.js';
+
+// Gitea-compatible heatmaps (Codeberg, Forgejo, Gitea): [{ timestamp, contributions }, ...]
+// Self-hosted instances must be listed in GITEA_ALLOWED_HOSTS
+export default createProxyHandler({
+    name: 'Gitea',
+    defaultHosts: ['codeberg.org', 'gitea.com'],
+    allowedHostsEnv: 'GITEA_ALLOWED_HOSTS',
+    buildUrl: (host, username) => `https://${host}/api/v1/users/${username}/heatmap`
+});
@@ -0,0 +1,224 @@
+import {
+    ERROR_CODES,
+    UpstreamTimeoutError,
+    createDeadline,
+    createGetHandler,
+    fetchWithRetry,
+    parseRetryAfter,
+    sendError
+} from './_lib/proxy.js';
+
+// GitHub contributions with a per-day breakdown (commits, PRs, issues, reviews),
+// queried from GitHub's GraphQL API with a server-side token.
+//
+// Env:
+//   GITHUB_TOKEN        - required, a token with read:user scope
+//   GITHUB_GRAPHQL_URL  - optional, point at a local fixture server when testing
+//
+// GET /api/github?username=octocat&from=2024-01-01&to=2024-12-31
+// -> { contributions: [{ date, count, commits, pullRequests, issues, reviews }, ...] }
+const DEFAULT_GRAPHQL_URL = 'https://api.github.com/graphql';
+
+// GitHub logins: letters, digits and single hyphens, up to 39 chars
+const USERNAME_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Follow-up pages per connection, bounds the cost of very busy years
+const MAX_PAGES = 10;
+
+// Longest range served, the client's MAX_WEEKS (src/services/grid.js): ~5 years, at most 6 yearly chunks
+const MAX_WEEKS = 261;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CALENDAR_QUERY = `
+query ($login: String!, $from: DateTime!, $to: DateTime!) {
+  user(login: $login) {
+    contributionsCollection(from: $from, to: $to) {
+      contributionCalendar {
+        weeks { contributionDays { date contributionCount } }
+      }
+    }
+  }
+}`;
+
+// One query per connection so each can be paginated on its own
+const CONNECTION_QUERY = (connection) => `
+query ($login: String!, $from: DateTime!, $to: DateTime!, $after: String) {
+  user(login: $login) {
+    contributionsCollection(from: $from, to: $to) {
+      ${connection}(first: 100, after: $after) {
+        nodes { occurredAt }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+}`;
+
+// Connection name -> field on the day model
+const BREAKDOWN_CONNECTIONS = {
+    pullRequestContributions: 'pullRequests',
+    issueContributions: 'issues',
+    pullRequestReviewContributions: 'reviews'
+};
+
+class GraphQLError extends Error {
+    constructor(status, code, message, retryAfter = null) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// deadline: shared by every call of one request (see createDeadline)
+async function graphql(query, variables, deadline) {
+    const response = await fetchWithRetry(process.env.GITHUB_GRAPHQL_URL || DEFAULT_GRAPHQL_URL, {
+        method: 'POST',
+        headers: {
+            Authorization: `bearer ${process.env.GITHUB_TOKEN}`,
+            'Content-Type': 'application/json',
+            'User-Agent': 'gitmusic'
+        },
+        body: JSON.stringify({ query, variables })
+    }, { deadline });
+
+    // Secondary rate limits come back as 403 with the quota exhausted
+    const rateLimited = response.status === 429 ||
+        (response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0');
+    if (rateLimited) {
+        const reset = Number(response.headers.get('x-ratelimit-reset'));
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after')) ??
+            (reset ? Math.max(0, Math.ceil(reset - Date.now() / 1000)) : 60);
+        throw new GraphQLError(429, ERROR_CODES.RATE_LIMITED, 'GitHub is rate limiting requests', retryAfter);
+    }
+    if (!response.ok) {
+        throw new GraphQLError(502, ERROR_CODES.UPSTREAM_ERROR, `GitHub responded with ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.errors?.some(e => e.type === 'NOT_FOUND') || body.data?.user === null) {
+        throw new GraphQLError(404, ERROR_CODES.USER_NOT_FOUND, `User "${variables.login}" not found on GitHub`);
+    }
+    if (body.errors?.length) {
+        throw new GraphQLError(502, ERROR_CODES.UPSTREAM_ERROR, body.errors[0].message);
+    }
+    return body.data.user.contributionsCollection;
+}
+
+// yyyy-MM-dd that is a real calendar day -> Date (UTC midnight), else null ('2024-02-30' is rejected)
+function parseDate(value) {
+    if (!DATE_PATTERN.test(value)) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value ? date : null;
+}
+
+// Query range -> { from, to } as yyyy-MM-dd, or null if a date is invalid or from > to
+// Defaults to the last year, like GitHub's profile graph; longer spans keep the most recent MAX_WEEKS
+function resolveRange(from, to) {
+    const end = to === undefined ? new Date(new Date().toISOString().slice(0, 10)) : parseDate(to);
+    const start = from === undefined ? new Date(end?.getTime() - 364 * DAY_MS) : parseDate(from);
+    if (!start || !end || start > end) return null;
+
+    const earliest = new Date(end.getTime() - (MAX_WEEKS * 7 - 1) * DAY_MS);
+    const clamped = start < earliest ? earliest : start;
+    return { from: clamped.toISOString().slice(0, 10), to: end.toISOString().slice(0, 10) };
+}
+
+// GitHub caps a contributionsCollection at one year, so longer ranges are split
+function yearlyChunks(from, to) {
+    const chunks = [];
+    let start = new Date(`${from}T00:00:00Z`);
+    const end = new Date(`${to}T23:59:59Z`);
+
+    while (start <= end) {
+        const chunkEnd = new Date(start);
+        chunkEnd.setUTCFullYear(chunkEnd.getUTCFullYear() + 1);
+        chunkEnd.setUTCSeconds(chunkEnd.getUTCSeconds() - 1);
+        chunks.push({ from: start.toISOString(), to: (chunkEnd < end ? chunkEnd : end).toISOString() });
+        start = new Date(chunkEnd.getTime() + 1000);
+    }
+    return chunks;
+}
+
+// occurredAt timestamps of every node in a connection, following pagination
+async function collectOccurrences(connection, variables, deadline) {
+    const occurrences = [];
+    let after = null;
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+        const collection = await graphql(CONNECTION_QUERY(connection), { ...variables, after }, deadline);
+        const { nodes, pageInfo } = collection[connection];
+        nodes.forEach(node => occurrences.push(node.occurredAt));
+        if (!pageInfo.hasNextPage) break;
+        after = pageInfo.endCursor;
+    }
+    return occurrences;
+}
+
+// Calendar totals + breakdown per day for one chunk, the calendar and each connection fetched side by side
+// Commits aren't listed per day by the API: they're the calendar total minus everything else
+async function fetchChunk(login, chunk, deadline) {
+    const variables = { login, from: chunk.from, to: chunk.to };
+    const connections = Object.entries(BREAKDOWN_CONNECTIONS);
+    const [calendar, ...breakdown] = await Promise.all([
+        graphql(CALENDAR_QUERY, variables, deadline),
+        ...connections.map(([connection]) => collectOccurrences(connection, variables, deadline))
+    ]);
+    const days = new Map();
+
+    calendar.contributionCalendar.weeks.forEach(week => week.contributionDays.forEach(day => {
+        days.set(day.date, { date: day.date, count: day.contributionCount, commits: 0, pullRequests: 0, issues: 0, reviews: 0 });
+    }));
+
+    connections.forEach(([, field], index) => breakdown[index].forEach(occurredAt => {
+        const day = days.get(occurredAt.slice(0, 10));
+        if (day) day[field]++;
+    }));
+
+    days.forEach(day => {
+        day.commits = Math.max(0, day.count - day.pullRequests - day.issues - day.reviews);
+    });
+    return [...days.values()];
+}
+
+export default createGetHandler(async (req, res) => {
+    // Without a token the client falls back to the public contributions API
+    if (!process.env.GITHUB_TOKEN) {
+        return sendError(res, 501, ERROR_CODES.NOT_CONFIGURED, 'GITHUB_TOKEN is not configured');
+    }
+
+    const { username, from, to } = req.query;
+
+    if (!username) {
+        return sendError(res, 400, ERROR_CODES.MISSING_USERNAME, 'Username is required');
+    }
+    if (!USERNAME_PATTERN.test(username)) {
+        return sendError(res, 400, ERROR_CODES.INVALID_USERNAME, `"${username}" is not a valid GitHub username`);
+    }
+
+    // Every chunk costs several upstream calls on our token, so the range is validated and capped
+    const range = resolveRange(from, to);
+    if (!range) {
+        return sendError(res, 400, ERROR_CODES.INVALID_RANGE, 'from and to must be valid yyyy-MM-dd dates with from <= to');
+    }
+
+    // Chunks are fetched in parallel against one deadline, so a long busy range answers with a
+    // typed UPSTREAM_TIMEOUT instead of running into the platform's own limit
+    const deadline = createDeadline();
+
+    try {
+        const chunks = await Promise.all(yearlyChunks(range.from, range.to).map(chunk => fetchChunk(username, chunk, deadline)));
+        const contributions = chunks.flat();
+
+        res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate');
+        return res.status(200).json({ contributions });
+    } catch (error) {
+        if (error instanceof GraphQLError) {
+            return sendError(res, error.status, error.code, error.message, error.retryAfter);
+        }
+        if (error instanceof UpstreamTimeoutError) {
+            return sendError(res, 504, ERROR_CODES.UPSTREAM_TIMEOUT, 'GitHub took too long to respond');
+        }
+        return sendError(res, 502, ERROR_CODES.UPSTREAM_ERROR, 'Failed to fetch GitHub data');
+    }
+});
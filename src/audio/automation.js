@@ -0,0 +1,62 @@
+import { getBlockActivity } from '../music/composer';
+import { weekActivity } from './spatial';
+
+// Data-driven effect automation
+// Presets name the nodes of their chains (`id`) and map data sources onto their parameters:
+//
+//   automation: [{
+//       node:   'voice.id'                   - a named node, e.g. 'melody.cutoff'
+//       param:  'frequency'                  - an automatable (Param/Signal) property of that node
+//       source: 'block' | 'week' | 'streak'  - what drives it, see SOURCES
+//       range:  [min, max]                   - parameter value at source 0 and 1
+//       curve:  'linear' | 'exponential'     - exponential suits frequencies (optional, default linear)
+//   }]
+//
+// Values are computed per step, pure and clock-free like the composer, then ramped in by the instruments
+
+// 4-week block at which the block source tops out (a busy block is > 15, see composer)
+const BLOCK_FULL = 56;
+// Days of unbroken activity at which the streak source tops out
+const STREAK_FULL = 28;
+
+// Consecutive active days up to the end of a week
+function getStreak(data, colIndex) {
+    let streak = 0;
+    for (let w = colIndex; w >= 0; w--) {
+        const { days } = data.weeks[w];
+        for (let d = days.length - 1; d >= 0; d--) {
+            if (days[d].count === 0) return streak;
+            streak++;
+        }
+    }
+    return streak;
+}
+
+// Data source -> (data, colIndex) -> 0..1
+export const SOURCES = {
+    // Activity of the 4-week block, the same value the drums follow
+    block: (data, colIndex) => Math.min(1, getBlockActivity(data, colIndex) / BLOCK_FULL),
+    // Activity of this week alone, 0 for empty weeks (keeps effects dry)
+    week: (data, colIndex) => weekActivity(data.weeks[colIndex]),
+    // Length of the running streak of active days
+    streak: (data, colIndex) => Math.min(1, getStreak(data, colIndex) / STREAK_FULL)
+};
+
+function interpolate([min, max], amount, curve) {
+    if (curve === 'exponential' && min > 0 && max > 0) {
+        return min * Math.pow(max / min, amount);
+    }
+    return min + (max - min) * amount;
+}
+
+// Parameter values for one step -> [{ node, param, value }]
+export function getAutomationValues(automation = [], data, colIndex) {
+    if (!data.weeks[colIndex]) return [];
+    return automation
+        .filter(({ source }) => SOURCES[source])
+        .map(({ node, param, source, range, curve = 'linear' }) => ({
+            node,
+            param,
+            value: interpolate(range, SOURCES[source](data, colIndex), curve)
+        }));
+}
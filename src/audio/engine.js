@@ -0,0 +1,180 @@
+import * as Tone from 'tone';
+import {
+    applyMixer,
+    applySpatial,
+    automate,
+    buildInstruments,
+    placeWeek,
+    playNote,
+    playChord,
+    playKick,
+    playSnare,
+    playHiHat
+} from './instruments';
+import { DEFAULT_PRESET } from './presets';
+import { DEFAULT_MIXER } from './mixer';
+import { DEFAULT_SPATIAL, weekActivity } from './spatial';
+import { DEFAULT_OCTAVE } from '../music/scales';
+
+// Long-lived live audio engine
+// The master section (limiter, meter, recorder) is built once by init() and kept
+// until dispose(). Parameters are hot-swapped on the running graph:
+//   - mixer, spatial and tonality changes apply to the existing nodes
+//   - a new preset is built next to the current one and crossfaded in once its
+//     reverbs are ready, the old instruments are disposed after their tails ring out
+
+export const DEFAULT_TONALITY = { key: 'C', octave: DEFAULT_OCTAVE };
+
+const MIXER_RAMP = 0.1; // seconds
+const CROSSFADE = 0.3; // seconds
+const RELEASE_TAIL = 8000; // ms, longest preset release + reverb decay
+
+export function createAudioEngine({
+    preset = DEFAULT_PRESET,
+    mixer = DEFAULT_MIXER,
+    tonality = DEFAULT_TONALITY,
+    spatial = DEFAULT_SPATIAL
+} = {}) {
+    const params = { preset, mixer, tonality, spatial };
+    let master = null; // { output, limiter, meter, recorder }
+    let current = null; // { id, instruments, fader }
+    let pending = null; // preset being built, replaced if another one is picked first
+    const retiring = new Set(); // old layers ringing out, disposed by their timer or by dispose()
+
+    // Instruments for a preset, behind their own fader so presets can crossfade
+    const buildLayer = (id, gain) => {
+        const fader = new Tone.Gain(gain).connect(master.limiter);
+        const instruments = buildInstruments(id, fader, params.mixer, params.spatial);
+        return { id, instruments, fader };
+    };
+
+    const disposeLayer = (layer) => {
+        if (layer.disposed) return;
+        layer.disposed = true;
+        layer.instruments.dispose();
+        layer.fader.dispose();
+    };
+
+    // Dispose a layer once whatever it's still playing has faded out
+    const retire = (layer) => {
+        retiring.add(layer);
+        layer.timer = setTimeout(() => {
+            retiring.delete(layer);
+            disposeLayer(layer);
+        }, RELEASE_TAIL);
+    };
+
+    const swapPreset = async (id) => {
+        const layer = buildLayer(id, 0);
+        pending = layer;
+        await layer.instruments.ready;
+
+        // Superseded by another preset, or the engine was disposed meanwhile
+        if (pending !== layer) {
+            disposeLayer(layer);
+            return;
+        }
+        pending = null;
+
+        const previous = current;
+        current = layer;
+        layer.fader.gain.rampTo(1, CROSSFADE);
+        if (previous) {
+            previous.fader.gain.rampTo(0, CROSSFADE);
+            retire(previous);
+        }
+    };
+
+    const voices = () => current?.instruments.voices ?? {};
+
+    return {
+        // Build the master section and the current preset (no-op when already running)
+        init() {
+            if (master) return;
+
+            // Master Gain (Fixed at 0dB, individual tracks controlled separately)
+            const output = new Tone.Gain(1).toDestination();
+            const recorder = new Tone.Recorder();
+            const limiter = new Tone.Limiter(-3);
+            const meter = new Tone.Meter({ smoothing: 0.8 });
+            limiter.connect(output);
+            limiter.connect(recorder);
+            limiter.connect(meter);
+            master = { output, limiter, meter, recorder };
+
+            current = buildLayer(params.preset, 1);
+        },
+
+        // Tear down every node, including layers still fading out or loading
+        dispose() {
+            if (!master) return;
+
+            retiring.forEach(layer => {
+                clearTimeout(layer.timer);
+                disposeLayer(layer);
+            });
+            retiring.clear();
+            if (pending) disposeLayer(pending);
+            if (current) disposeLayer(current);
+            pending = null;
+            current = null;
+
+            Object.values(master).forEach(node => node.dispose());
+            master = null;
+        },
+
+        setPreset(id) {
+            if (id === params.preset) return;
+            params.preset = id;
+            if (!master) return;
+
+            // A preset still loading is dropped once its reverbs are ready
+            pending = null;
+            if (current?.id !== id) swapPreset(id);
+        },
+
+        setMixer(value) {
+            params.mixer = value;
+            if (current) applyMixer(current.instruments.voices, value, MIXER_RAMP);
+            if (pending) applyMixer(pending.instruments.voices, value);
+        },
+
+        // 'off' | 'stereo' | '3d', see audio/spatial
+        setSpatial(value) {
+            params.spatial = value;
+            if (current) applySpatial(current.instruments.voices, value);
+            if (pending) applySpatial(pending.instruments.voices, value);
+        },
+
+        // Key changes apply from the next note
+        setTonality(value) {
+            params.tonality = value;
+        },
+
+        playNote: (note, time) => playNote(voices(), params.tonality, note, time),
+        playChord: (chord, time) => playChord(voices(), params.tonality, chord, time),
+        playKick: (time, velocity = 1) => playKick(voices(), time, velocity),
+        playSnare: (time, velocity = 1) => playSnare(voices(), time, velocity),
+        playHiHat: (time, velocity = 0.2) => playHiHat(voices(), time, velocity),
+
+        // Shape the sound for the week starting at `time`: spatial placement and effect automation
+        applyWeek(data, colIndex, time) {
+            if (!current) return;
+            placeWeek(current.instruments.voices, params.spatial, weekActivity(data.weeks[colIndex]), time);
+            automate(current.instruments, data, colIndex, time);
+        },
+
+        // Master output level in dB (-Infinity when silent)
+        getLevel: () => master?.meter.getValue() ?? -Infinity,
+
+        async startRecording() {
+            await Tone.start();
+            master?.recorder.start();
+        },
+
+        // -> recorded Blob, or null when the engine isn't running
+        async stopRecording() {
+            return master ? master.recorder.stop() : null;
+        }
+    };
+}
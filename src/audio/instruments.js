@@ -0,0 +1,194 @@
+import * as Tone from 'tone';
+import { getPreset } from './presets';
+import { DEFAULT_MIXER, MIXER_TRACKS } from './mixer';
+import { DEFAULT_SPATIAL, rowPosition } from './spatial';
+import { getAutomationValues } from './automation';
+import { getMelodyPitch, getChordPitches, midiToNote } from '../music/scales';
+import { VELOCITIES } from '../music/composer';
+
+// Builds a preset's Tone graph and plays the sequencer's notes through it
+// Shared by the live engine and the offline renderer (which runs in its own context)
+
+// { type, options } -> Tone node (PolySynth wraps its `voice` class)
+function createNode({ type, voice, options = {} }) {
+    return voice ? new Tone[type](Tone[voice], options) : new Tone[type](options);
+}
+
+// Connect nodes in series, returning the first one (the chain input)
+function chainNodes(nodes, destination) {
+    nodes.forEach((node, i) => node.connect(nodes[i + 1] ?? destination));
+    return nodes[0];
+}
+
+// Shared reverb the mixer's sends feed, on top of the preset's own routing
+const SEND_REVERB = { decay: 5, preDelay: 0.03, wet: 1 };
+
+// Melody rows are placed by panners, ahead of the listener until spatial placement moves them
+const WEEKDAYS = 7;
+const PANNER = { panningModel: 'equalpower', distanceModel: 'inverse', refDistance: 1, rolloffFactor: 0.5, positionZ: -1 };
+// Stereo chorus that spreads the pad across the field (dry until spatial placement is on)
+const WIDENER = { frequency: 0.3, delayTime: 8, depth: 0.5, spread: 180, wet: 0 };
+const WIDENER_WET = 0.6;
+// Busy weeks glide closer rather than jumping
+const PLACE_RAMP = 0.05;
+// Automated parameters glide into each week's value
+const AUTOMATION_RAMP = 0.25;
+
+// Build the instrument graph from the preset:
+//   synth -> chain -> channel strip (volume, pan, mute, solo) -> bus -> destination
+//                                  \-> send -> send reverb -> destination
+// The melody has one synth per weekday row, each behind its own panner, and the pad a widener
+// -> {
+//     voices: { melody, pad, drum, metal } -> { synth | rows: [{ synth, panner }], widener?, strip, send },
+//     nodes: 'voice.id' | 'bus.id' -> named effect, automation, ready, dispose
+// }
+export function buildInstruments(presetId, destination, mixer = DEFAULT_MIXER, spatial = DEFAULT_SPATIAL) {
+    const preset = getPreset(presetId);
+    const nodes = [];
+    const create = (config) => {
+        const node = createNode(config);
+        nodes.push(node);
+        return node;
+    };
+    // Effects with an id can be automated as 'owner.id'
+    const named = {};
+    // LFO-driven effects (Chorus, Tremolo...) only move once started
+    const createEffect = (config, owner) => {
+        const node = create(config);
+        node.start?.();
+        if (config.id) named[`${owner}.${config.id}`] = node;
+        return node;
+    };
+
+    const buses = {};
+    Object.entries(preset.buses ?? {}).forEach(([name, effects]) => {
+        buses[name] = chainNodes(effects.map(config => createEffect(config, name)), destination);
+    });
+
+    const sendReverb = create({ type: 'Reverb', options: SEND_REVERB }).connect(destination);
+
+    const voices = {};
+    MIXER_TRACKS.forEach(voice => {
+        const { synth: synthConfig, chain = [], bus = null, volume: trim = 0 } = preset.voices[voice];
+        // The preset's level trim, the track level lives on the strip
+        const createSynth = () => {
+            const synth = create(synthConfig);
+            synth.volume.value = trim;
+            return synth;
+        };
+        const input = create({ type: 'Gain' });
+        const strip = create({ type: 'Channel' });
+        const send = create({ type: 'Gain', options: { gain: 0 } }).connect(sendReverb);
+
+        chainNodes([input, ...chain.map(config => createEffect(config, voice)), strip], bus ? buses[bus] : destination);
+        strip.connect(send);
+
+        if (voice === 'melody') {
+            const rows = Array.from({ length: WEEKDAYS }, () => {
+                const synth = createSynth();
+                const panner = create({ type: 'Panner3D', options: PANNER }).connect(input);
+                synth.connect(panner);
+                return { synth, panner };
+            });
+            voices[voice] = { rows, strip, send };
+        } else if (voice === 'pad') {
+            const synth = createSynth();
+            const widener = createEffect({ type: 'Chorus', options: WIDENER });
+            chainNodes([synth, widener], input);
+            voices[voice] = { synth, widener, strip, send };
+        } else {
+            const synth = createSynth().connect(input);
+            voices[voice] = { synth, strip, send };
+        }
+    });
+    applyMixer(voices, mixer);
+    applySpatial(voices, spatial);
+
+    return {
+        voices,
+        nodes: named,
+        automation: preset.automation ?? [],
+        // Reverbs generate their impulse response asynchronously
+        ready: Promise.all(nodes.map(node => node.ready)),
+        dispose: () => nodes.forEach(node => node.dispose())
+    };
+}
+
+// Apply mixer settings to the channel strips, ramping levels when live
+export function applyMixer(voices, mixer, rampTime = 0) {
+    Object.entries(voices).forEach(([voice, { strip, send }]) => {
+        const { volume, pan, send: amount, mute, solo } = mixer[voice] ?? DEFAULT_MIXER[voice];
+        if (rampTime > 0) {
+            strip.volume.rampTo(volume, rampTime);
+            strip.pan.rampTo(pan, rampTime);
+            send.gain.rampTo(amount, rampTime);
+        } else {
+            strip.volume.value = volume;
+            strip.pan.value = pan;
+            send.gain.value = amount;
+        }
+        strip.mute = mute;
+        strip.solo = solo;
+    });
+}
+
+// Switch spatial placement mode ('off' | 'stereo' | '3d'), rows start at a middle distance
+export function applySpatial(voices, mode) {
+    voices.melody?.rows.forEach(({ panner }, dayIndex) => {
+        const { x, y, z } = rowPosition(dayIndex, 0.5, mode);
+        panner.panningModel = mode === '3d' ? 'HRTF' : 'equalpower';
+        panner.setPosition(x, y, z);
+    });
+    voices.pad?.widener.wet.rampTo(mode === DEFAULT_SPATIAL ? 0 : WIDENER_WET, 0.1);
+}
+
+// Move the melody rows for the week starting at `time`, activity 0-1 (only 3D uses distance)
+export function placeWeek(voices, mode, activity, time) {
+    if (mode !== '3d') return;
+    voices.melody?.rows.forEach(({ panner }, dayIndex) => {
+        const { x, y, z } = rowPosition(dayIndex, activity, mode);
+        panner.positionX.rampTo(x, PLACE_RAMP, time);
+        panner.positionY.rampTo(y, PLACE_RAMP, time);
+        panner.positionZ.rampTo(z, PLACE_RAMP, time);
+    });
+}
+
+// Ramp the preset's automated parameters to their values for week `colIndex`, starting at `time`
+export function automate(instruments, data, colIndex, time) {
+    getAutomationValues(instruments.automation, data, colIndex).forEach(({ node, param, value }) => {
+        instruments.nodes[node]?.[param]?.rampTo?.(value, AUTOMATION_RAMP, time);
+    });
+}
+
+// Play a melody note: { index (weekday row), level, offset } from the composer
+export function playNote(voices, tonality, { index, level, offset, velocity = VELOCITIES[level] || 0.5 }, time) {
+    const note = midiToNote(getMelodyPitch(tonality, offset));
+    voices.melody?.rows[index]?.synth.triggerAttackRelease(note, "8n", time, velocity);
+}
+
+// Play a pad chord: { voicing } from the composer
+export function playChord(voices, tonality, { voicing }, time) {
+    const notes = getChordPitches(tonality, voicing).map(midiToNote);
+    voices.pad?.synth.triggerAttackRelease(notes, "1n", time);
+}
+
+// Play kick drum
+export function playKick(voices, time, velocity = 1) {
+    voices.drum?.synth.triggerAttackRelease("C2", "8n", time, velocity);
+}
+
+// Play snare
+export function playSnare(voices, time, velocity = 1) {
+    voices.drum?.synth.triggerAttackRelease("G2", "8n", time, velocity);
+}
+
+// Play hi-hat
+export function playHiHat(voices, time, velocity = 0.2) {
+    const synth = voices.metal?.synth;
+    if (synth instanceof Tone.NoiseSynth) {
+        synth.triggerAttackRelease("32n", time, velocity);
+    } else {
+        // MetalSynth is pitched: ring at its own frequency
+        synth?.triggerAttackRelease(synth.frequency.value, "32n", time, velocity);
+    }
+}
@@ -0,0 +1,140 @@
+import { DRUM_NOTES } from '../music/midi';
+
+// Web MIDI output: sends the sequencer's notes to external synths and DAWs
+// Nothing here touches Tone.js directly: times are converted by the `toTimestamp`
+// function the caller provides, so the sender can be driven by a mocked
+// navigator.requestMIDIAccess and a fake clock
+
+// Channels as shown to users (1-16), drums default to the General MIDI channel 10
+export const DEFAULT_MIDI_CHANNELS = { melody: 1, pad: 2, drums: 10 };
+export const MIDI_CHANNELS = Array.from({ length: 16 }, (_, i) => i + 1);
+
+// Where notes go: the built-in synths, MIDI only, or both
+export const OUTPUT_MODES = ['audio', 'midi', 'both'];
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xb0;
+const ALL_NOTES_OFF = 123;
+const CLOCK = 0xf8;
+const START = 0xfa;
+const CONTINUE = 0xfb;
+const STOP = 0xfc;
+const SONG_POSITION = 0xf2;
+
+// Note offs are handed to the browser this long before they're due
+const NOTE_OFF_LEAD_MS = 100;
+
+// All notes off trails a stop by this much (seconds)
+const PANIC_DELAY = 0.01;
+
+export function isMidiSupported(nav = globalThis.navigator) {
+    return typeof nav?.requestMIDIAccess === 'function';
+}
+
+// -> MIDIAccess, or null when Web MIDI is unavailable or permission is denied
+export async function requestMidiAccess(nav = globalThis.navigator) {
+    if (!isMidiSupported(nav)) return null;
+    try {
+        return await nav.requestMIDIAccess({ sysex: false });
+    } catch {
+        return null;
+    }
+}
+
+// MIDIAccess -> [{ id, name }]
+export function listOutputs(access) {
+    return access ? [...access.outputs.values()].map(({ id, name }) => ({ id, name })) : [];
+}
+
+// Send notes, clock and transport messages to one MIDI output port
+//   port        - MIDIOutput (anything with send(data, timestamp))
+//   channels    - { melody, pad, drums }, 1-16
+//   toTimestamp - audio time (seconds) -> performance.now() milliseconds
+export function createMidiSender(port, { channels = DEFAULT_MIDI_CHANNELS, toTimestamp }) {
+    const channelOf = (track) => (channels[track] ?? DEFAULT_MIDI_CHANNELS[track]) - 1;
+    // "channel:pitch" -> token of the note currently holding it
+    const held = new Map();
+    const timers = new Set();
+    let nextToken = 0;
+
+    const send = (bytes, time) => port.send(bytes, time === undefined ? undefined : toTimestamp(time));
+
+    // Note offs are sent just in time, so a pitch struck again (overlapping pads)
+    // isn't cut short by the previous note's release
+    const scheduleNoteOff = (key, bytes, time) => {
+        const token = nextToken++;
+        held.set(key, token);
+
+        const delay = Math.max(0, toTimestamp(time) - performance.now() - NOTE_OFF_LEAD_MS);
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            if (held.get(key) !== token) return;
+            held.delete(key);
+            send(bytes, time);
+        }, delay);
+        timers.add(timer);
+    };
+
+    // Play pitches on a track's channel at `time` for `duration` seconds, velocity 0-1
+    const playNotes = (track, pitches, time, duration, velocity = 1) => {
+        const channel = channelOf(track);
+        const value = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+
+        pitches.forEach(pitch => {
+            const key = `${channel}:${pitch}`;
+            // Retrigger: release the held copy right before striking it again
+            if (held.has(key)) send([NOTE_OFF | channel, pitch, 0], time);
+            send([NOTE_ON | channel, pitch, value], time);
+            scheduleNoteOff(key, [NOTE_OFF | channel, pitch, 0], time + duration);
+        });
+    };
+
+    const playDrum = (type, time, duration, velocity) => {
+        playNotes('drums', [DRUM_NOTES[type]], time, duration, velocity);
+    };
+
+    // Silence everything at `time` (right away if left out): held notes are released, then all notes
+    // off on every channel. Both carry a timestamp a little after `time`, so note ons the browser
+    // already has queued (up to the Transport lookahead) can't land after them
+    const panic = (time) => {
+        const at = time === undefined ? undefined : time + PANIC_DELAY;
+        timers.forEach(timer => clearTimeout(timer));
+        timers.clear();
+        held.forEach((token, key) => {
+            const [channel, pitch] = key.split(':').map(Number);
+            send([NOTE_OFF | channel, pitch, 0], at);
+        });
+        held.clear();
+        new Set(Object.keys(DEFAULT_MIDI_CHANNELS).map(channelOf)).forEach(channel => {
+            send([CONTROL_CHANGE | channel, ALL_NOTES_OFF, 0], at);
+        });
+    };
+
+    // Song Position Pointer (in sixteenth notes, 14 bits) then carry on from there
+    const resume = (position, time) => {
+        const beats = Math.max(0, Math.min(0x3fff, Math.floor(position)));
+        send([SONG_POSITION, beats & 0x7f, (beats >> 7) & 0x7f], time);
+        send([CONTINUE], time);
+    };
+
+    return {
+        playNotes,
+        playDrum,
+        // Clock pulses (24 per quarter note), start and stop keep external gear in sync
+        clock: (time) => send([CLOCK], time),
+        start: (time) => send([START], time),
+        // Start mid-song (resume, or playing from a week): gear jumps to the same position
+        resume,
+        // Jump while playing: gear is stopped, moved and continued, held notes ring on
+        seek: (position, time) => {
+            send([STOP], time);
+            resume(position, time);
+        },
+        stop: (time) => {
+            send([STOP], time);
+            panic(time);
+        },
+        panic
+    };
+}
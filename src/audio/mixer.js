@@ -0,0 +1,79 @@
+// Mixer settings: one channel strip per voice
+//   volume: dB, pan: -1 (left) .. 1 (right), send: reverb send amount 0 .. 1
+// Settings are saved in localStorage and can travel in share links (?mix=...)
+
+export const MIXER_TRACKS = ['melody', 'pad', 'drum', 'metal'];
+
+export const TRACK_LABELS = { melody: 'melody', pad: 'pad', drum: 'kick/snare', metal: 'hi-hat' };
+
+export const VOLUME_RANGE = { min: -40, max: 0 };
+
+export const DEFAULT_MIXER = {
+    melody: { volume: -10, pan: 0, send: 0, mute: false, solo: false },
+    pad: { volume: -20, pan: 0, send: 0, mute: false, solo: false },
+    drum: { volume: -4, pan: 0, send: 0, mute: false, solo: false },
+    metal: { volume: -14, pan: 0, send: 0, mute: false, solo: false }
+};
+
+const STORAGE_KEY = 'gitmusic:mixer';
+const MIXER_FIELDS = ['volume', 'pan', 'send', 'mute', 'solo'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value) => Math.round(value * 100) / 100;
+
+function isDefault(mixer) {
+    return MIXER_TRACKS.every(track => MIXER_FIELDS.every(field => mixer[track][field] === DEFAULT_MIXER[track][field]));
+}
+
+// Mixer -> compact string, one "volume,pan,send,flags" group per track joined by '_'
+// e.g. "-10,0,0,_-20,-0.5,0.3,m_-4,0,0,s_-14,0,0," (m = muted, s = solo)
+// Returns null for the default mix so links stay clean
+export function serializeMixer(mixer) {
+    if (isDefault(mixer)) return null;
+    return MIXER_TRACKS.map(track => {
+        const { volume, pan, send, mute, solo } = mixer[track];
+        return [round(volume), round(pan), round(send), `${mute ? 'm' : ''}${solo ? 's' : ''}`].join(',');
+    }).join('_');
+}
+
+// Compact string -> mixer, or null if it can't be read
+export function parseMixer(value) {
+    if (typeof value !== 'string') return null;
+    const groups = value.split('_');
+    if (groups.length !== MIXER_TRACKS.length) return null;
+
+    const mixer = {};
+    for (let i = 0; i < groups.length; i++) {
+        const [volume, pan, send, flags = ''] = groups[i].split(',');
+        const numbers = [volume, pan, send].map(Number);
+        if (numbers.some(n => !Number.isFinite(n))) return null;
+
+        mixer[MIXER_TRACKS[i]] = {
+            volume: clamp(numbers[0], VOLUME_RANGE.min, VOLUME_RANGE.max),
+            pan: clamp(numbers[1], -1, 1),
+            send: clamp(numbers[2], 0, 1),
+            mute: flags.includes('m'),
+            solo: flags.includes('s')
+        };
+    }
+    return mixer;
+}
+
+// Last mix used on this browser (best-effort, like the contributions cache)
+export function loadMixer() {
+    try {
+        return parseMixer(localStorage.getItem(STORAGE_KEY)) ?? DEFAULT_MIXER;
+    } catch {
+        return DEFAULT_MIXER;
+    }
+}
+
+export function saveMixer(mixer) {
+    try {
+        const value = serializeMixer(mixer);
+        if (value) localStorage.setItem(STORAGE_KEY, value);
+        else localStorage.removeItem(STORAGE_KEY);
+    } catch {
+        // Storage full or disabled: the mix just won't be remembered
+    }
+}
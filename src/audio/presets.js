@@ -0,0 +1,407 @@
+// Declarative instrument presets
+// Each preset describes the four voices the sequencer plays and how they're routed:
+//
+//   voices.<voice> = {
+//       synth:  { type, voice?, options }  - Tone class name (PolySynth takes a `voice` class)
+//       chain:  [{ id?, type, options }]   - inserts after the synth, in order (filters, delays, crushers...)
+//       bus:    'name' | null              - shared effect bus to end in, null goes straight to the master
+//       volume: dB trim added to the track volume (optional)
+//       program: General MIDI program used by the MIDI exports (melody and pad)
+//   }
+//   buses.<name> = [{ id?, type, options }] - effects shared by the voices routed to them
+//   automation = [{ node, param, source, range, curve? }]
+//                                          - data-driven parameters of named nodes ('voice.id' or 'bus.id'),
+//                                            see audio/automation
+//
+// Voices: melody (lead), pad (chords), drum (kick & snare, pitched), metal (hi-hats, unpitched)
+// The engine builds its Tone graph from this data, see useAudioEngine
+
+export const DEFAULT_PRESET = 'ambient';
+
+export const PRESETS = {
+    // The original GitMusic sound: FM piano and a sawtooth wash drowned in reverb
+    ambient: {
+        name: 'Ambient',
+        buses: {
+            // Clean but spacious
+            lead: [{ type: 'Reverb', options: { decay: 12, preDelay: 0.01, wet: 0.7 } }],
+            // Deep, atmospheric wash with a slow onset
+            wash: [{ type: 'Reverb', options: { decay: 10, preDelay: 0.5, wet: 0.8 } }]
+        },
+        voices: {
+            melody: {
+                program: 4,
+                synth: {
+                    type: 'PolySynth',
+                    voice: 'Synth',
+                    options: {
+                        oscillator: { type: 'fmsine' },
+                        envelope: { attack: 0.02, decay: 1, sustain: 0.2, release: 2 }
+                    }
+                },
+                chain: [
+                    { id: 'cutoff', type: 'Filter', options: { frequency: 2500, type: 'lowpass', rolloff: -12 } },
+                    { id: 'delay', type: 'FeedbackDelay', options: { delayTime: '4n', feedback: 0.2, wet: 0 } }
+                ],
+                bus: 'lead'
+            },
+            pad: {
+                program: 89,
+                synth: {
+                    type: 'PolySynth',
+                    voice: 'Synth',
+                    options: {
+                        oscillator: { type: 'sawtooth' },
+                        envelope: { attack: 2, decay: 0.1, sustain: 1, release: 4 }
+                    }
+                },
+                chain: [
+                    // Cut the sawtooth buzz
+                    { type: 'Filter', options: { frequency: 800, type: 'lowpass' } },
+                    { id: 'chorus', type: 'Chorus', options: { frequency: 0.5, delayTime: 4, depth: 0.6, wet: 0 } }
+                ],
+                bus: 'wash'
+            },
+            drum: {
+                synth: {
+                    type: 'MembraneSynth',
+                    options: {
+                        pitchDecay: 0.05,
+                        octaves: 4,
+                        oscillator: { type: 'sine' },
+                        envelope: { attack: 0.01, decay: 0.4, sustain: 0.01, release: 1.4 }
+                    }
+                },
+                bus: null // Drums skip reverb to stay punchy
+            },
+            metal: {
+                synth: {
+                    type: 'MetalSynth',
+                    options: {
+                        frequency: 200,
+                        envelope: { attack: 0.01, decay: 0.05, release: 0.05 },
+                        harmonicity: 3.1,
+                        modulationIndex: 10,
+                        resonance: 2000,
+                        octaves: 1
+                    }
+                },
+                bus: null
+            }
+        },
+        // The lead opens up in busy months and echoes longer during streaks
+        automation: [
+            { node: 'melody.cutoff', param: 'frequency', source: 'block', range: [900, 5000], curve: 'exponential' },
+            { node: 'melody.delay', param: 'feedback', source: 'streak', range: [0.1, 0.55] },
+            { node: 'melody.delay', param: 'wet', source: 'week', range: [0, 0.3] },
+            { node: 'pad.chorus', param: 'wet', source: 'week', range: [0, 0.5] }
+        ]
+    },
+
+    // Dusty keys: detuned triangle lead through a low 8-bit crusher, wobbly pad, muffled drums
+    lofi: {
+        name: 'Lo-fi',
+        buses: {
+            room: [{ type: 'Reverb', options: { decay: 3, preDelay: 0.02, wet: 0.35 } }]
+        },
+        voices: {
+            melody: {
+                program: 4,
+                synth: {
+                    type: 'PolySynth',
+                    voice: 'Synth',
+                    options: {
+                        oscillator: { type: 'fattriangle', count: 2, spread: 12 },
+                        envelope: { attack: 0.01, decay: 0.6, sustain: 0.3, release: 1.2 }
+                    }
+                },
+                chain: [
+                    { id: 'crusher', type: 'BitCrusher', options: { bits: 8 } },
+                    { id: 'cutoff', type: 'Filter', options: { frequency: 1800, type: 'lowpass', rolloff: -24 } },
+                    { id: 'delay', type: 'FeedbackDelay', options: { delayTime: '8n.', feedback: 0.15, wet: 0 } }
+                ],
+                bus: 'room'
+            },
+            pad: {
+                program: 90,
+                synth: {
+                    type: 'PolySynth',
+                    voice: 'AMSynth',
+                    options: {
+                        harmonicity: 1.5,
+                        envelope: { attack: 0.8, decay: 0.3, sustain: 0.8, release: 3 }
+                    }
+                },
+                chain: [
+                    { type: 'Vibrato', options: { frequency: 0.6, depth: 0.15 } },
+                    { type: 'Filter', options: { frequency: 900, type: 'lowpass' } }
+                ],
+                bus: 'room',
+                volume: -2
+            },
+            drum: {
+                synth: {
+                    type: 'MembraneSynth',
+                    options: {
+                        pitchDecay: 0.03,
+                        octaves: 3,
+                        oscillator: { type: 'sine' },
+                        envelope: { attack: 0.005, decay: 0.3, sustain: 0, release: 0.6 }
+                    }
+                },
+                chain: [{ type: 'Filter', options: { frequency: 1200, type: 'lowpass' } }],
+                bus: null
+            },
+            metal: {
+                synth: {
+                    type: 'NoiseSynth',
+                    options: {
+                        noise: { type: 'pink' },
+                        envelope: { attack: 0.005, decay: 0.08, sustain: 0 }
+                    }
+                },
+                chain: [{ type: 'Filter', options: { frequency: 6000, type: 'highpass' } }],
+                bus: 'room',
+                volume: -6
+            }
+        },
+        // Crunchier and brighter when there's work to show, clean on empty weeks
+        automation: [
+            { node: 'melody.crusher', param: 'wet', source: 'week', range: [0, 1] },
+            { node: 'melody.cutoff', param: 'frequency', source: 'block', range: [700, 3000], curve: 'exponential' },
+            { node: 'melody.delay', param: 'feedback', source: 'streak', range: [0.05, 0.45] },
+            { node: 'melody.delay', param: 'wet', source: 'week', range: [0, 0.25] }
+        ]
+    },
+
+    // Game console: pulse lead, triangle bass pad, noise hats, almost no reverb
+    chiptune: {
+        name: 'Chiptune',
+        buses: {
+            echo: [{ id: 'delay', type: 'FeedbackDelay', options: { delayTime: '8n', feedback: 0.2, wet: 0.15 } }]
+        },
+        voices: {
+            melody: {
+                program: 80,
+                synth: {
+                    type: 'PolySynth',
+                    voice: 'Synth',
+                    options: {
+                        oscillator: { type: 'pulse', width: 0.25 },
+                        envelope: { attack: 0.001, decay: 0.15, sustain: 0.4, release: 0.1 }
+                    }
+                },
+                chain: [{ id: 'drive', type: 'Distortion', options: { distortion: 0.4, wet: 0 } }],
+                bus: 'echo',
+                volume: -8
+            },
+            pad: {
+                program: 38,
+                synth: {
+                    type: 'PolySynth',
+                    voice: 'Synth',
+                    options: {
+                        oscillator: { type: 'triangle' },
+                        envelope: { attack: 0.01, decay: 0.2, sustain: 0.6, release: 0.3 }
+                    }
+                },
+                bus: null,
+                volume: 4
+            },
+            drum: {
+                synth: {
+                    type: 'MembraneSynth',
+                    options: {
+                        pitchDecay: 0.08,
+                        octaves: 6,
+                        oscillator: { type: 'square' },
+                        envelope: { attack: 0.001, decay: 0.15, sustain: 0, release: 0.1 }
+                    }
+                },
+                chain: [{ id: 'crusher', type: 'BitCrusher', options: { bits: 4 } }],
+                bus: null,
+                volume: -10
+            },
+            metal: {
+                synth: {
+                    type: 'NoiseSynth',
+                    options: {
+                        noise: { type: 'white' },
+                        envelope: { attack: 0.001, decay: 0.04, sustain: 0 }
+                    }
+                },
+                bus: null,
+                volume: -4
+            }
+        },
+        // Busy months overdrive the lead and crush the drums harder, streaks keep the echo going
+        automation: [
+            { node: 'melody.drive', param: 'wet', source: 'block', range: [0, 0.5] },
+            { node: 'drum.crusher', param: 'bits', source: 'block', range: [6, 3] },
+            { node: 'echo.delay', param: 'feedback', source: 'streak', range: [0.1, 0.5] },
+            { node: 'echo.delay', param: 'wet', source: 'week', range: [0, 0.3] }
+        ]
+    },
+
+    // Soft, muted upright: short FM hammer, dark low-pass, warm room
+    piano: {
+        name: 'Felt piano',
+        buses: {
+            room: [{ type: 'Reverb', options: { decay: 4, preDelay: 0.015, wet: 0.4 } }],
+            hall: [{ type: 'Reverb', options: { decay: 8, preDelay: 0.1, wet: 0.6 } }]
+        },
+        voices: {
+            melody: {
+                program: 0,
+                synth: {
+                    type: 'PolySynth',
+                    voice: 'FMSynth',
+                    options: {
+                        harmonicity: 2,
+                        modulationIndex: 1.5,
+                        oscillator: { type: 'sine' },
+                        modulation: { type: 'sine' },
+                        envelope: { attack: 0.005, decay: 1.8, sustain: 0, release: 1.5 },
+                        modulationEnvelope: { attack: 0.002, decay: 0.3, sustain: 0, release: 0.5 }
+                    }
+                },
+                chain: [
+                    { id: 'cutoff', type: 'Filter', options: { frequency: 1400, type: 'lowpass', rolloff: -24 } },
+                    { id: 'delay', type: 'FeedbackDelay', options: { delayTime: '4n.', feedback: 0.2, wet: 0 } }
+                ],
+                bus: 'room',
+                volume: 2
+            },
+            pad: {
+                program: 0,
+                synth: {
+                    type: 'PolySynth',
+                    voice: 'FMSynth',
+                    options: {
+                        harmonicity: 1,
+                        modulationIndex: 0.8,
+                        envelope: { attack: 0.01, decay: 3, sustain: 0.1, release: 3 },
+                        modulationEnvelope: { attack: 0.01, decay: 0.5, sustain: 0, release: 1 }
+                    }
+                },
+                chain: [{ type: 'Filter', options: { frequency: 700, type: 'lowpass' } }],
+                bus: 'hall'
+            },
+            drum: {
+                synth: {
+                    type: 'MembraneSynth',
+                    options: {
+                        pitchDecay: 0.02,
+                        octaves: 2,
+                        oscillator: { type: 'sine' },
+                        envelope: { attack: 0.01, decay: 0.5, sustain: 0, release: 0.8 }
+                    }
+                },
+                bus: 'room',
+                volume: -6
+            },
+            metal: {
+                synth: {
+                    type: 'NoiseSynth',
+                    options: {
+                        noise: { type: 'brown' },
+                        envelope: { attack: 0.01, decay: 0.12, sustain: 0 }
+                    }
+                },
+                chain: [{ type: 'Filter', options: { frequency: 3000, type: 'bandpass' } }],
+                bus: 'room',
+                volume: -4
+            }
+        },
+        // The felt lifts a little in busy months
+        automation: [
+            { node: 'melody.cutoff', param: 'frequency', source: 'block', range: [900, 2400], curve: 'exponential' },
+            { node: 'melody.delay', param: 'feedback', source: 'streak', range: [0.1, 0.4] },
+            { node: 'melody.delay', param: 'wet', source: 'week', range: [0, 0.15] }
+        ]
+    },
+
+    // String section: slow-bowed detuned saws with chorus, timpani-like kick, big hall
+    strings: {
+        name: 'Orchestral strings',
+        buses: {
+            hall: [{ type: 'Reverb', options: { decay: 6, preDelay: 0.04, wet: 0.5 } }]
+        },
+        voices: {
+            melody: {
+                program: 48,
+                synth: {
+                    type: 'PolySynth',
+                    voice: 'Synth',
+                    options: {
+                        oscillator: { type: 'fatsawtooth', count: 3, spread: 20 },
+                        envelope: { attack: 0.25, decay: 0.3, sustain: 0.7, release: 1.5 }
+                    }
+                },
+                chain: [{ id: 'cutoff', type: 'Filter', options: { frequency: 3000, type: 'lowpass', rolloff: -24 } }],
+                bus: 'hall',
+                volume: -4
+            },
+            pad: {
+                program: 49,
+                synth: {
+                    type: 'PolySynth',
+                    voice: 'Synth',
+                    options: {
+                        oscillator: { type: 'fatsawtooth', count: 4, spread: 30 },
+                        envelope: { attack: 1.5, decay: 0.5, sustain: 0.9, release: 3 }
+                    }
+                },
+                chain: [
+                    { id: 'chorus', type: 'Chorus', options: { frequency: 0.8, delayTime: 4, depth: 0.4, wet: 0.5 } },
+                    { type: 'Filter', options: { frequency: 1200, type: 'lowpass' } }
+                ],
+                bus: 'hall',
+                volume: -4
+            },
+            drum: {
+                synth: {
+                    type: 'MembraneSynth',
+                    options: {
+                        pitchDecay: 0.1,
+                        octaves: 2,
+                        oscillator: { type: 'sine' },
+                        envelope: { attack: 0.02, decay: 0.8, sustain: 0, release: 1.5 }
+                    }
+                },
+                bus: 'hall'
+            },
+            metal: {
+                synth: {
+                    type: 'MetalSynth',
+                    options: {
+                        frequency: 300,
+                        envelope: { attack: 0.02, decay: 0.2, release: 0.3 },
+                        harmonicity: 5.1,
+                        modulationIndex: 16,
+                        resonance: 4000,
+                        octaves: 1.5
+                    }
+                },
+                bus: 'hall',
+                volume: -10
+            }
+        },
+        // The section swells in busy months
+        automation: [
+            { node: 'melody.cutoff', param: 'frequency', source: 'block', range: [1500, 5000], curve: 'exponential' },
+            { node: 'pad.chorus', param: 'wet', source: 'week', range: [0.2, 0.7] }
+        ]
+    }
+};
+
+export const PRESET_IDS = Object.keys(PRESETS);
+
+export function isPreset(id) {
+    return Object.hasOwn(PRESETS, id);
+}
+
+// Unknown ids fall back to the default preset
+export function getPreset(id) {
+    return PRESETS[isPreset(id) ? id : DEFAULT_PRESET];
+}
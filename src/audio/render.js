@@ -0,0 +1,72 @@
+import * as Tone from 'tone';
+import { automate, buildInstruments, placeWeek, playNote, playChord, playKick, playSnare, playHiHat } from './instruments';
+import { DEFAULT_SPATIAL, weekActivity } from './spatial';
+import { encodeWav } from './wav';
+import { composeSong } from '../music/song';
+
+// Offline rendering: the whole song is computed faster than real time in an
+// OfflineContext with its own clock, the live Transport is never touched
+
+const SAMPLE_RATE = 44100;
+// Room for the last chord and the reverb tails to ring out
+const TAIL_SECONDS = 10;
+// Steps are scheduled just ahead of the offline clock, like the live sequencer does
+const SCHEDULE_AHEAD = 1;
+
+// Render a song to an AudioBuffer
+//   options: { seed, scale (null = seeded), groove, resolution, preset, mixer, tonality: { key, octave }, spatial }
+//   onProgress(ratio) is called while rendering, from 0 to 1
+export async function renderSong(data, { seed, scale = null, groove, resolution, preset, mixer, tonality, spatial = DEFAULT_SPATIAL }, onProgress = () => { }) {
+    const song = composeSong(data, { seed, scale, groove, resolution });
+    const duration = song.duration + TAIL_SECONDS;
+
+    let instruments = null;
+    let lastPercent = -1;
+
+    const buffer = await Tone.Offline(async (context) => {
+        // Note lengths ("8n", "1n") follow the song tempo
+        context.transport.bpm.value = song.bpm;
+
+        const limiter = new Tone.Limiter(-3).connect(context.destination);
+        instruments = buildInstruments(preset, limiter, mixer, spatial);
+        const { voices } = instruments;
+        await instruments.ready;
+
+        let nextStep = 0;
+        context.on('tick', () => {
+            while (nextStep < song.steps.length && song.steps[nextStep].time < context.currentTime + SCHEDULE_AHEAD) {
+                const { index, col, time, chord, drums, notes } = song.steps[nextStep];
+                // Placement and effects move once per week column
+                if (index % song.stepsPerWeek === 0) {
+                    placeWeek(voices, spatial, weekActivity(data.weeks[col]), time);
+                    automate(instruments, data, col, time);
+                }
+
+                if (chord) playChord(voices, tonality, chord, time);
+                drums.forEach(({ type, velocity, nudge }) => {
+                    if (type === 'kick') playKick(voices, time + nudge, velocity);
+                    else if (type === 'snare') playSnare(voices, time + nudge, velocity);
+                    else playHiHat(voices, time + nudge, velocity);
+                });
+                notes.forEach(note => playNote(voices, tonality, note, time + note.nudge));
+                nextStep++;
+            }
+
+            // Ticks come every 128 samples, only report whole percents
+            const percent = Math.min(100, Math.floor(context.currentTime / duration * 100));
+            if (percent !== lastPercent) {
+                lastPercent = percent;
+                onProgress(percent / 100);
+            }
+        });
+    }, duration, 2, SAMPLE_RATE);
+
+    instruments?.dispose();
+    onProgress(1);
+    return buffer.get();
+}
+
+// Render a song straight to a WAV Blob
+export async function renderSongToWav(data, options, onProgress) {
+    return encodeWav(await renderSong(data, options, onProgress));
+}
@@ -0,0 +1,41 @@
+// Spatial placement: the seven weekday rows of the graph become positions around the listener
+//   off    - everything in the center (the original mix)
+//   stereo - rows panned from left (Sunday) to right (Saturday), pad widened
+//   3d     - binaural (HRTF) placement on the same arc, busy weeks come closer
+// Pure mapping shared by the audio graph and the video canvas
+
+export const SPATIAL_MODES = ['off', 'stereo', '3d'];
+export const DEFAULT_SPATIAL = 'off';
+
+// Widest row position (-1 hard left .. 1 hard right)
+const SPREAD = 0.8;
+// Listener distance of the quietest and busiest weeks in 3D (reference distance is 1)
+const FAR = 4;
+const NEAR = 1;
+
+export function isSpatialMode(value) {
+    return SPATIAL_MODES.includes(value);
+}
+
+// Weekday row -> pan, -0.8 (Sunday) .. 0.8 (Saturday), 0 when spatial placement is off
+export function rowPan(dayIndex, mode) {
+    return mode === DEFAULT_SPATIAL ? 0 : (dayIndex / 3 - 1) * SPREAD;
+}
+
+// How busy a week is, 0 (empty) .. 1 (every day at the top level)
+export function weekActivity(week) {
+    if (!week) return 0;
+    return week.days.reduce((sum, day) => sum + day.level, 0) / (week.days.length * 4);
+}
+
+// Week activity -> listener distance, only 3D brings busy weeks closer
+export function weekDistance(activity, mode) {
+    return mode === '3d' ? FAR - (FAR - NEAR) * activity : NEAR;
+}
+
+// Position of a row on an arc in front of the listener -> { x, y, z } (Web Audio axes, -z is ahead)
+export function rowPosition(dayIndex, activity, mode) {
+    const angle = rowPan(dayIndex, mode) * Math.PI / 2;
+    const distance = weekDistance(activity, mode);
+    return { x: Math.sin(angle) * distance, y: 0, z: -Math.cos(angle) * distance };
+}
@@ -0,0 +1,43 @@
+// AudioBuffer -> 16-bit PCM WAV Blob
+
+function writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+}
+
+export function encodeWav(audioBuffer) {
+    const { numberOfChannels, sampleRate, length } = audioBuffer;
+    const bytesPerSample = 2;
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    // RIFF header + fmt chunk (PCM) + data chunk
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // Interleave channels, clamping floats to the 16-bit range
+    const channels = Array.from({ length: numberOfChannels }, (_, c) => audioBuffer.getChannelData(c));
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        for (let c = 0; c < numberOfChannels; c++) {
+            const sample = Math.max(-1, Math.min(1, channels[c][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob([view], { type: 'audio/wav' });
+}
@@ -1,21 +1,69 @@
-import React, { useEffect, useState, useCallback, memo, useRef, forwardRef } from 'react';
+import React, { useEffect, useState, useCallback, useMemo, memo, useRef, forwardRef } from 'react';
 import * as Tone from 'tone';
-import { fetchContributions, fetchGitHubContributions, fetchGitLabContributions } from '../services/contributions';
+import { fetchContributions, detectContributions, describeRange, getProvider, listProviders } from '../services/contributions';
+import { fetchMergedContributions, MERGE_PLATFORM } from '../services/merge';
+import { importContributionFile, LOCAL_PLATFORM } from '../services/importer';
 import { useAudioEngine } from '../hooks/useAudioEngine';
+import { DEFAULT_PRESET, PRESETS } from '../audio/presets';
+import { DEFAULT_SPATIAL, SPATIAL_MODES, rowPan, weekActivity, weekDistance } from '../audio/spatial';
+import { MIXER_TRACKS, TRACK_LABELS, VOLUME_RANGE, loadMixer, saveMixer, serializeMixer } from '../audio/mixer';
 import { useSequencer } from '../hooks/useSequencer';
+import { useMidiOutput } from '../hooks/useMidiOutput';
+import { MIDI_CHANNELS, OUTPUT_MODES } from '../audio/midiOutput';
+import { parseCommand, formatLoop } from '../utils/command';
+import { buildShareUrl, readShareUrl } from '../utils/shareLink';
+import { deriveSeed } from '../utils/random';
+import { renderSongToWav } from '../audio/render';
+import { exportMidi } from '../music/midi';
+import { getAdaptiveBpm } from '../music/composer';
+import { DAY_STEP_LENGTHS, DEFAULT_RESOLUTION, getWeekSeconds } from '../music/song';
+import { BPM_RANGE, DEFAULT_GROOVE, createTapTempo, formatHumanize } from '../music/groove';
+import { DEFAULT_OCTAVE, NOTE_NAMES, OCTAVES, getSignatureKey } from '../music/scales';
+import { formatDistanceToNow } from 'date-fns';
 import './GitSequencer.css';
 
+// Per-source counts of a merged day, e.g. " (GitHub 3, GitLab 2)"
+const formatSources = (sources) => sources
+    ? ` (${Object.entries(sources).map(([id, count]) => `${getProvider(id)?.name ?? id} ${count}`).join(', ')})`
+    : '';
+
+// Activity breakdown of a day, e.g. " · 3 commits, 1 pull request"
+const BREAKDOWN_LABELS = { commits: 'commit', pullRequests: 'pull request', issues: 'issue', reviews: 'review' };
+const formatBreakdown = (breakdown) => {
+    if (!breakdown) return '';
+    const parts = Object.entries(BREAKDOWN_LABELS)
+        .filter(([kind]) => breakdown[kind] > 0)
+        .map(([kind, label]) => `${breakdown[kind]} ${label}${breakdown[kind] === 1 ? '' : 's'}`);
+    return parts.length ? ` · ${parts.join(', ')}` : '';
+};
+
 // Memoized day cell to prevent unnecessary re-renders
 const DayCell = memo(({ day, isPlaying }) => (
     <div
         className={`day-cell level-${day.level} ${isPlaying ? 'playing' : ''}`}
-        title={`${day.date}: ${day.count} contribs`}
+        title={`${day.date}: ${day.count} contribs${formatSources(day.sources)}${formatBreakdown(day.breakdown)}`}
     />
 ));
 
+// Seconds -> 'm:ss'
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+// Grid classes of a week inside the loop region ('' outside it)
+const loopClass = (loop, weekIndex) => {
+    if (!loop || weekIndex < loop.start || weekIndex > loop.end) return '';
+    return `in-loop ${weekIndex === loop.start ? 'loop-start' : ''} ${weekIndex === loop.end ? 'loop-end' : ''}`;
+};
+
 // Memoized week column with forwardRef to allow scrolling to it
-const WeekCol = memo(forwardRef(({ week, weekIndex, isActive, activeNotes, style }, ref) => (
-    <div ref={ref} className={`week-col ${isActive ? 'active' : ''}`} style={style}>
+// Press and release on a week to seek, drag across weeks to select a loop
+const WeekCol = memo(forwardRef(({ week, weekIndex, isActive, activeNotes, loopClassName, style, onSelectStart, onSelectMove }, ref) => (
+    <div
+        ref={ref}
+        className={`week-col ${isActive ? 'active' : ''} ${loopClassName}`}
+        style={style}
+        onMouseDown={(e) => onSelectStart(e, weekIndex)}
+        onMouseEnter={() => onSelectMove(weekIndex)}
+    >
         {week.days.map((day, dIndex) => (
             <DayCell
                 key={dIndex}
@@ -26,13 +74,95 @@ const WeekCol = memo(forwardRef(({ week, weekIndex, isActive, activeNotes, style
     </div>
 )));
 
+// One mixer channel strip: level, mute/solo, pan and reverb send
+const MixerStrip = memo(({ track, number, settings, silent, onChange }) => (
+    <div className={`mixer-track ${silent ? 'silent' : ''}`}>
+        <span className="mixer-label">[{number}] {TRACK_LABELS[track]}</span>
+        <input
+            type="range"
+            min={VOLUME_RANGE.min}
+            max={VOLUME_RANGE.max}
+            step="1"
+            value={settings.volume}
+            onChange={(e) => onChange(track, { volume: Number(e.target.value) })}
+            title={`${TRACK_LABELS[track]} level`}
+        />
+        <span className="mixer-value">{settings.volume}dB</span>
+        <button
+            className={`mixer-toggle ${settings.mute ? 'on' : ''}`}
+            onClick={() => onChange(track, { mute: !settings.mute })}
+            title={`Mute (${number})`}
+        >M</button>
+        <button
+            className={`mixer-toggle ${settings.solo ? 'on' : ''}`}
+            onClick={() => onChange(track, { solo: !settings.solo })}
+            title={`Solo (Shift+${number})`}
+        >S</button>
+        <span className="dim">pan</span>
+        <input
+            type="range"
+            min="-1"
+            max="1"
+            step="0.05"
+            value={settings.pan}
+            onChange={(e) => onChange(track, { pan: Number(e.target.value) })}
+            onDoubleClick={() => onChange(track, { pan: 0 })}
+            title="Stereo pan (double-click to center)"
+        />
+        <span className="mixer-value">
+            {settings.pan === 0 ? 'C' : `${settings.pan < 0 ? 'L' : 'R'}${Math.round(Math.abs(settings.pan) * 100)}`}
+        </span>
+        <span className="dim">rev</span>
+        <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={settings.send}
+            onChange={(e) => onChange(track, { send: Number(e.target.value) })}
+            title="Reverb send"
+        />
+        <span className="mixer-value">{Math.round(settings.send * 100)}%</span>
+    </div>
+));
+
+// Master output level, redrawn every frame without re-rendering React
+const MasterMeter = ({ getLevel }) => {
+    const barRef = useRef(null);
+    const valueRef = useRef(null);
+
+    useEffect(() => {
+        let frame;
+        const draw = () => {
+            const db = getLevel();
+            const ratio = Number.isFinite(db) ? Math.max(0, Math.min(1, (db - VOLUME_RANGE.min) / -VOLUME_RANGE.min)) : 0;
+            barRef.current.style.width = `${ratio * 100}%`;
+            barRef.current.classList.toggle('hot', db > -6);
+            valueRef.current.textContent = Number.isFinite(db) && db > VOLUME_RANGE.min ? `${Math.round(db)}dB` : '-inf';
+            frame = requestAnimationFrame(draw);
+        };
+        frame = requestAnimationFrame(draw);
+        return () => cancelAnimationFrame(frame);
+    }, [getLevel]);
+
+    return (
+        <div className="mixer-track">
+            <span className="mixer-label">master</span>
+            <div className="mixer-meter"><div ref={barRef} className="mixer-meter-bar" /></div>
+            <span ref={valueRef} className="mixer-value">-inf</span>
+        </div>
+    );
+};
+
 const GitSequencer = () => {
     const [username, setUsername] = useState('');
     const [data, setData] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
-    const [volumes, setVolumes] = useState({ melody: -10, pad: -20, drum: -4, metal: -14 });
+    const [mixer, setMixer] = useState(loadMixer); // per-track level, pan, send, mute/solo, see audio/mixer
+    const [showMixer, setShowMixer] = useState(false);
     const [isRecording, setIsRecording] = useState(false);
+    const [renderProgress, setRenderProgress] = useState(null); // 0-100 while exporting audio
     const mediaRecorderRef = useRef(null);
     const chunksRef = useRef([]);
     const canvasRef = useRef(null);
@@ -41,13 +171,41 @@ const GitSequencer = () => {
     const [cursorPos, setCursorPos] = useState(0);
     const [showCursor, setShowCursor] = useState(true);
     const [platform, setPlatform] = useState('github');
+    const [isPlatformPinned, setIsPlatformPinned] = useState(false); // chosen with -p, --host or a link, not auto-detected
+    const [seedOverride, setSeedOverride] = useState(null);
+    const [range, setRange] = useState({}); // { year, from, to } - empty means trailing 52 weeks
+    const [host, setHost] = useState(null); // self-hosted instance (e.g. gitlab.example.com)
+    const [levels, setLevels] = useState(null); // level strategy, null = default (quartiles)
+    const [preset, setPreset] = useState(DEFAULT_PRESET); // instrument preset, see audio/presets
+    const [cacheStatus, setCacheStatus] = useState(null); // { savedAt, stale } when served from cache
+    const [importedFile, setImportedFile] = useState(null); // file name when data comes from `gitmusic import`
+    const [songName, setSongName] = useState(''); // loaded user (or imported file): seed, key, export names
+    const [keyOverride, setKeyOverride] = useState(null); // null = the user's signature key
+    const [octave, setOctave] = useState(DEFAULT_OCTAVE);
+    const [spatial, setSpatial] = useState(DEFAULT_SPATIAL); // weekday rows placement, see audio/spatial
+    const [loop, setLoop] = useState(null); // { start, end } weeks to repeat, null plays the whole song
+    const [selection, setSelection] = useState(null); // { anchor, current } weeks while dragging out a loop
+    const [groove, setGroove] = useState(DEFAULT_GROOVE); // tempo, swing and humanize, see music/groove
+    const [tapTempo] = useState(createTapTempo);
+    const [resolution, setResolution] = useState(DEFAULT_RESOLUTION); // a step per week or per day, see music/song
+    const [isDragging, setIsDragging] = useState(false);
+    const fileInputRef = useRef(null);
+    const importOptionsRef = useRef({}); // flags typed with `import`, applied once a file is picked
+    const lastCommandRef = useRef(''); // last submitted input, so blur doesn't re-run it
+
+    // Every song has a signature key derived from its user, unless one is picked
+    const musicalKey = keyOverride ?? getSignatureKey(songName);
+    const tonality = useMemo(() => ({ key: musicalKey, octave }), [musicalKey, octave]);
 
     // Custom hooks for audio
-    const audioEngine = useAudioEngine(username, volumes, data);
-    const sequencer = useSequencer(audioEngine, username);
+    const audioEngine = useAudioEngine(preset, mixer, tonality, spatial);
+    // Notes go to the built-in synths and/or a Web MIDI device
+    const output = useMidiOutput(audioEngine, tonality);
+    const sequencer = useSequencer(output, loop, groove, resolution);
 
     const {
         isPlaying,
+        isPaused,
         activeCol,
         activeNotes,
         scaleType,
@@ -55,10 +213,52 @@ const GitSequencer = () => {
         bpm,
         autoScale,
         toggle,
+        seek,
         stop,
         changeScale
     } = sequencer;
 
+    // Remember the mix on this browser
+    useEffect(() => {
+        saveMixer(mixer);
+    }, [mixer]);
+
+    const updateTrack = useCallback((track, changes) => {
+        setMixer(current => ({ ...current, [track]: { ...current[track], ...changes } }));
+    }, []);
+
+    const isSoloing = MIXER_TRACKS.some(track => mixer[track].solo);
+
+    const updateGroove = useCallback((changes) => {
+        setGroove(current => ({ ...current, ...changes }));
+    }, []);
+
+    // --bpm, --swing and --humanize change only what they name, the rest of the groove carries over
+    const applyGrooveOptions = (options) => {
+        const changes = Object.fromEntries(['bpm', 'swing', 'humanize']
+            .filter(name => options[name] !== undefined)
+            .map(name => [name, options[name]]));
+        if (Object.keys(changes).length) updateGroove(changes);
+    };
+
+    // --daily plays day by day, --step also sets the step length
+    const applyResolutionOptions = (options) => {
+        if (!options.daily && !options.step) return;
+        setResolution(current => ({ mode: 'daily', dayStep: options.step ?? current.dayStep }));
+    };
+
+    // Steps select: 'weekly' or 'daily:16n'
+    const handleResolutionChange = (e) => {
+        const [mode, dayStep = resolution.dayStep] = e.target.value.split(':');
+        setResolution({ mode, dayStep });
+    };
+
+    // Tap the beat (quarter notes) to set a fixed tempo
+    const handleTap = useCallback(() => {
+        const tapped = tapTempo(performance.now());
+        if (tapped) updateGroove({ bpm: tapped });
+    }, [tapTempo, updateGroove]);
+
     // Focus input on mount
     useEffect(() => {
         if (inputRef.current) {
@@ -80,7 +280,7 @@ const GitSequencer = () => {
         }
     }, [showToast]);
 
-    const loadData = async (user, format = null) => {
+    const loadData = async (user, format = null, fetchOptions = {}) => {
         setIsLoading(true);
         setIsAnimating(true);
         setError(null);
@@ -90,44 +290,38 @@ const GitSequencer = () => {
 
         let resultData = null;
         let resultError = null;
+        let resultCache = null;
         let finalPlatform = 'github';
 
-        // Check if explicit platform is requested
-        if (format) {
-            finalPlatform = format;
-            const result = await fetchContributions(user, format);
+        // Check if explicit platform is requested (a --host on its own means self-hosted GitLab)
+        const provider = getProvider(format) ?? (fetchOptions.host ? getProvider('gitlab') : null);
+        if (format === LOCAL_PLATFORM) {
+            // IMPORT: parse a local file, no network involved
+            finalPlatform = LOCAL_PLATFORM;
+            const result = await importContributionFile(fetchOptions.file, fetchOptions);
+            resultData = result.data;
+            resultError = result.error;
+        } else if (format === MERGE_PLATFORM) {
+            // MERGE: sum every platform into one graph
+            finalPlatform = MERGE_PLATFORM;
+            const result = await fetchMergedContributions(user, fetchOptions);
             resultData = result.data;
             resultError = result.error;
+            resultCache = result.cache;
+        } else if (provider) {
+            finalPlatform = provider.id;
+            const result = await fetchContributions(user, provider.id, fetchOptions);
+            resultData = result.data;
+            resultError = result.error;
+            resultCache = result.cache;
         } else {
-            // AUTO DETECT: Fetch both and pick winner
+            // AUTO DETECT: Fetch every registered platform and pick the most active
             try {
-                const [ghRes, glRes] = await Promise.all([
-                    fetchGitHubContributions(user),
-                    fetchGitLabContributions(user)
-                ]);
-
-                const getCount = (res) => {
-                    if (!res || !res.data || res.error) return -1;
-                    return res.data.weeks.reduce((acc, w) =>
-                        acc + w.days.reduce((da, d) => da + d.count, 0), 0);
-                };
-
-                const ghCount = getCount(ghRes);
-                const glCount = getCount(glRes);
-
-                if (ghCount === -1 && glCount === -1) {
-                    // Both failed
-                    resultError = `User "${user}" not found on GitHub or GitLab`;
-                } else if (glCount > ghCount) {
-                    finalPlatform = 'gitlab';
-                    resultData = glRes.data;
-                    resultError = glRes.error;
-                } else {
-                    // GitHub wins (default if equal or gh exists and gl doesn't)
-                    finalPlatform = 'github';
-                    resultData = ghRes.data;
-                    resultError = ghRes.error;
-                }
+                const result = await detectContributions(user, fetchOptions);
+                finalPlatform = result.platform;
+                resultData = result.data;
+                resultError = result.error;
+                resultCache = result.cache;
             } catch (err) {
                 console.error("Auto-detect failed", err);
                 resultError = "Failed to load data";
@@ -136,7 +330,10 @@ const GitSequencer = () => {
 
         setData(resultData);
         setError(resultError);
+        setSongName(format === LOCAL_PLATFORM ? fetchOptions.file.name : user);
+        setCacheStatus(resultCache ?? null);
         setPlatform(finalPlatform);
+        setIsPlatformPinned(finalPlatform !== LOCAL_PLATFORM && Boolean(provider || format === MERGE_PLATFORM));
         setIsLoading(false);
 
         // Wait for animation
@@ -150,34 +347,81 @@ const GitSequencer = () => {
         const rawInput = username.trim();
         if (!rawInput) return;
 
-        let targetUser = rawInput;
-        let explicitPlatform = null;
-
-        // Parse command line arguments
-        const args = rawInput.split(/\s+/);
-        const pIndex = args.findIndex(arg => arg === '-p' || arg === '--platform');
+        // Parse command line arguments (flags are removed from the username)
+        const { command, username: targetUser, options } = parseCommand(rawInput);
+        lastCommandRef.current = rawInput;
 
-        if (pIndex !== -1 && pIndex + 1 < args.length) {
-            const platformArg = args[pIndex + 1].toLowerCase();
-            if (['github', 'gitlab'].includes(platformArg)) {
-                explicitPlatform = platformArg;
-                // Remove flag from user string
-                const newArgs = args.filter((_, i) => i !== pIndex && i !== pIndex + 1);
-                targetUser = newArgs.join(' ');
-            }
+        // `import`: pick a local file, its flags apply once it's loaded
+        if (command === 'import') {
+            importOptionsRef.current = options;
+            fileInputRef.current?.click();
+            return;
         }
 
         if (!targetUser || targetUser.length < 2) return;
 
         inputRef.current?.blur();
-        if (isPlaying) stop();
+        if (isPlaying || isPaused) stop();
 
         // If we extracted a clean username, update input to match
         if (targetUser !== username) {
             setUsername(targetUser);
         }
 
-        loadData(targetUser, explicitPlatform);
+        // A new search only keeps a seed/range/host/levels when one is given explicitly
+        const rangeOptions = { year: options.year, from: options.from, to: options.to };
+        setSeedOverride(options.seed ?? null);
+        setRange(rangeOptions);
+        setHost(options.host ?? null);
+        setLevels(options.levels ?? null);
+        if (options.preset) setPreset(options.preset);
+        if (options.octave) setOctave(options.octave);
+        if (options.spatial) setSpatial(options.spatial);
+        applyGrooveOptions(options);
+        applyResolutionOptions(options);
+        setKeyOverride(options.key ?? null);
+        setLoop(options.loop ?? null);
+        setImportedFile(null);
+        loadData(targetUser, options.platform ?? null, {
+            ...rangeOptions,
+            host: options.host,
+            levels: options.levels,
+            refresh: options.refresh
+        });
+    };
+
+    // Load a local history file (from drag & drop or `gitmusic import`)
+    const handleImportFile = (file, options = {}) => {
+        if (!file) return;
+        inputRef.current?.blur();
+        if (isPlaying || isPaused) stop();
+
+        const rangeOptions = { year: options.year, from: options.from, to: options.to };
+        setSeedOverride(options.seed ?? null);
+        setRange(rangeOptions);
+        setHost(null);
+        setLevels(options.levels ?? null);
+        if (options.preset) setPreset(options.preset);
+        if (options.octave) setOctave(options.octave);
+        if (options.spatial) setSpatial(options.spatial);
+        applyGrooveOptions(options);
+        applyResolutionOptions(options);
+        setKeyOverride(options.key ?? null);
+        setLoop(options.loop ?? null);
+        setImportedFile(file.name);
+        loadData(null, LOCAL_PLATFORM, { ...rangeOptions, levels: options.levels, file });
+    };
+
+    const handleFilePicked = (e) => {
+        handleImportFile(e.target.files[0], importOptionsRef.current);
+        e.target.value = ''; // allow picking the same file again
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        if (isLoading) return;
+        handleImportFile(e.dataTransfer.files[0]);
     };
 
     const handleScaleChange = (e) => {
@@ -211,9 +455,67 @@ const GitSequencer = () => {
         }
     }, [activeCol]);
 
+    const isImported = platform === LOCAL_PLATFORM;
+
+    // Seed for the current song: explicit --seed / link seed, else derived from user + data
+    const seed = seedOverride || deriveSeed(songName, data);
+
     const handleTogglePlay = useCallback(() => {
-        toggle(data);
-    }, [toggle, data]);
+        toggle(data, seed);
+    }, [toggle, data, seed]);
+
+    // Click a week (or the progress bar) to jump there
+    const handleSeek = useCallback((colIndex) => {
+        if (!data || isRecording) return;
+        seek(data, seed, colIndex);
+    }, [seek, data, seed, isRecording]);
+
+    const handleProgressClick = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        handleSeek(Math.floor((e.clientX - rect.left) / rect.width * data.weeks.length));
+    };
+
+    // Tempo shown before playback starts, the adaptive one follows the loaded graph
+    const displayBpm = groove.bpm ?? (data ? getAdaptiveBpm(data) : bpm);
+    const weekSeconds = getWeekSeconds(displayBpm, resolution);
+
+    // Drag across weeks to loop them, a press without a drag seeks
+    const handleSelectStart = useCallback((e, weekIndex) => {
+        if (e.button !== 0) return;
+        e.preventDefault(); // no text selection while dragging
+        setSelection({ anchor: weekIndex, current: weekIndex });
+    }, []);
+
+    const handleSelectMove = useCallback((weekIndex) => {
+        setSelection(current => current && { ...current, current: weekIndex });
+    }, []);
+
+    useEffect(() => {
+        if (!selection) return;
+        const handleMouseUp = () => {
+            const { anchor, current } = selection;
+            if (anchor === current) {
+                handleSeek(anchor);
+            } else {
+                setLoop({ start: Math.min(anchor, current), end: Math.max(anchor, current) });
+            }
+            setSelection(null);
+        };
+        window.addEventListener('mouseup', handleMouseUp);
+        return () => window.removeEventListener('mouseup', handleMouseUp);
+    }, [selection, handleSeek]);
+
+    // The region on the grid: the one being dragged out, else the loop
+    const shownLoop = selection && selection.anchor !== selection.current
+        ? { start: Math.min(selection.anchor, selection.current), end: Math.max(selection.anchor, selection.current) }
+        : loop;
+
+    // Label for the selected period ('' for the default trailing year)
+    const rangeLabel = describeRange(range);
+    // Merged graphs list every combined source ("GitHub + GitLab")
+    const platformName = platform === MERGE_PLATFORM
+        ? (data?.sources ?? []).map(id => getProvider(id)?.name ?? id).join(' + ')
+        : isImported ? importedFile : host ?? getProvider(platform)?.name ?? platform;
 
     // Check if there are no contributions
     const hasNoContributions = data && data.weeks.every(w => w.days.every(d => d.level === 0));
@@ -290,6 +592,9 @@ const GitSequencer = () => {
         const commandLineHeight = commandFontSize;
         const statusLineHeight = statusFontSize;
         const gridHeight = 7 * (CELL_SIZE + GAP);
+        // Stereo stage under the grid when rows are spread out
+        const stageMarginTop = 32 * scale;
+        const stageHeight = spatial !== DEFAULT_SPATIAL ? stageMarginTop + 24 * scale : 0;
 
         const totalContentHeight =
             fieldsetHeight +
@@ -298,7 +603,8 @@ const GitSequencer = () => {
             statusMarginTop +
             statusLineHeight +
             graphMarginTop +
-            gridHeight;
+            gridHeight +
+            stageHeight;
 
         // Vertical offset to center content
         const offsetY = (canvasHeight - totalContentHeight) / 2;
@@ -392,11 +698,12 @@ const GitSequencer = () => {
 
         ctx.fillStyle = colors.accentYellow;
         const promptWidth = ctx.measureText('$ ').width;
-        ctx.fillText('gitmusic fetch', cmdX + promptWidth, currentY);
+        const commandName = isImported ? 'gitmusic import' : 'gitmusic fetch';
+        ctx.fillText(commandName, cmdX + promptWidth, currentY);
 
         ctx.fillStyle = colors.textBright;
-        const cmdWidth = ctx.measureText('gitmusic fetch ').width;
-        ctx.fillText(username, cmdX + promptWidth + cmdWidth, currentY);
+        const cmdWidth = ctx.measureText(`${commandName} `).width;
+        ctx.fillText(songName, cmdX + promptWidth + cmdWidth, currentY);
 
         currentY += commandLineHeight + statusMarginTop;
 
@@ -404,7 +711,9 @@ const GitSequencer = () => {
         ctx.fillStyle = colors.success;
         ctx.font = `${statusFontSize}px monospace`;
         ctx.textAlign = 'left';
-        ctx.fillText(`✓ loaded ${data.weeks.length} weeks`, contentPadding, currentY);
+        const sourceLabel = data.sources ? ` · ${platformName}` : '';
+        const loopLabel = loop ? ` · loop ${formatLoop(loop)}` : '';
+        ctx.fillText(`✓ ${isImported ? 'imported' : 'loaded'} ${data.weeks.length} weeks${sourceLabel}${rangeLabel ? ` · ${rangeLabel}` : ''}${loopLabel}`, contentPadding, currentY);
 
         currentY += statusLineHeight + graphMarginTop;
 
@@ -426,6 +735,18 @@ const GitSequencer = () => {
         ctx.rect(contentPadding, currentY, visibleWidth, gridHeight + 5 * scale);
         ctx.clip();
 
+        // Loop region: a band behind its weeks, A and B edges in the gaps either side
+        if (loop) {
+            const loopEnd = Math.min(loop.end, data.weeks.length - 1);
+            const loopX = contentPadding + loop.start * (CELL_SIZE + GAP) - scrollOffset - GAP / 2;
+            const loopWidth = (loopEnd - loop.start + 1) * (CELL_SIZE + GAP);
+            ctx.fillStyle = 'rgba(242, 52, 0, 0.15)';
+            ctx.fillRect(loopX, currentY, loopWidth, gridHeight - GAP);
+            ctx.fillStyle = colors.accent;
+            ctx.fillRect(loopX, currentY, scale, gridHeight - GAP);
+            ctx.fillRect(loopX + loopWidth - scale, currentY, scale, gridHeight - GAP);
+        }
+
         // Draw Grid with scroll offset
         data.weeks.forEach((week, wIndex) => {
             const x = contentPadding + wIndex * (CELL_SIZE + GAP) - scrollOffset;
@@ -462,13 +783,47 @@ const GitSequencer = () => {
         ctx.restore();
         ctx.shadowBlur = 0;
 
+        // ===== STEREO STAGE (where each playing row sits, L to R; closer weeks draw bigger in 3D) =====
+        if (stageHeight > 0) {
+            const stageY = currentY + gridHeight + stageMarginTop + 12 * scale;
+            const stageCenter = canvasWidth / 2;
+            const stageHalf = contentWidth / 2 - 24 * scale;
+
+            ctx.strokeStyle = colors.textDim;
+            ctx.lineWidth = scale;
+            ctx.beginPath();
+            ctx.moveTo(stageCenter - stageHalf, stageY);
+            ctx.lineTo(stageCenter + stageHalf, stageY);
+            ctx.stroke();
+
+            ctx.fillStyle = colors.textDim;
+            ctx.font = `${statusFontSize}px monospace`;
+            ctx.textBaseline = 'middle';
+            ctx.textAlign = 'left';
+            ctx.fillText('L', contentPadding, stageY);
+            ctx.textAlign = 'right';
+            ctx.fillText('R', canvasWidth - contentPadding, stageY);
+            ctx.textBaseline = 'alphabetic';
+
+            const distance = weekDistance(weekActivity(data.weeks[activeCol]), spatial);
+            ctx.fillStyle = colors.textBright;
+            ctx.shadowColor = colors.textBright;
+            ctx.shadowBlur = 12 * scale;
+            activeNotes.forEach(dIndex => {
+                ctx.beginPath();
+                ctx.arc(stageCenter + rowPan(dIndex, spatial) * stageHalf, stageY, 6 * scale / distance, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.shadowBlur = 0;
+        }
+
         // ===== FOOTER WITH PRODUCTION LINK =====
         ctx.fillStyle = colors.textDim;
         ctx.font = `${13 * scale}px monospace`;
         ctx.textAlign = 'center';
         ctx.fillText(`gitmusic.niyasv.com`, canvasWidth / 2, canvasHeight - 40 * scale);
 
-    }, [data, activeCol, activeNotes, username]);
+    }, [data, activeCol, activeNotes, songName, isImported, rangeLabel, platformName, spatial, loop]);
 
     // Export VIDEO recording (Universal Canvas Capture)
     const handleExport = async () => {
@@ -525,7 +880,7 @@ const GitSequencer = () => {
 
                     // Determine extension
                     const ext = mimeType.includes('mp4') ? 'mp4' : 'webm';
-                    const filename = `git-music-${username}.${ext}`;
+                    const filename = `git-music-${songName}.${ext}`;
                     const file = new File([blob], filename, { type: mimeType });
 
                     // Try Web Share API (Mobile Only)
@@ -560,7 +915,7 @@ const GitSequencer = () => {
 
                 // Start playback for recording (audio will be captured)
                 if (!isPlaying && data) {
-                    toggle(data);
+                    toggle(data, seed);
                 }
 
             } catch (err) {
@@ -571,9 +926,82 @@ const GitSequencer = () => {
         }
     };
 
+    // Offline WAV export: renders the whole song faster than real time
+    const handleExportAudio = async () => {
+        if (renderProgress !== null || !data) return;
+        setRenderProgress(0);
+
+        try {
+            const blob = await renderSongToWav(data, {
+                seed,
+                scale: autoScale ? null : scaleType,
+                groove,
+                resolution,
+                preset,
+                mixer,
+                tonality,
+                spatial
+            }, (ratio) => setRenderProgress(Math.round(ratio * 100)));
+
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `git-music-${songName}.wav`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error("Audio export failed:", err);
+            alert("Audio export failed. Your browser might not support offline rendering.");
+        } finally {
+            setRenderProgress(null);
+        }
+    };
+
+    // Standard MIDI file with the same seeded notes as playback, one track per part
+    const handleExportMidi = () => {
+        if (!data) return;
+        const bytes = exportMidi(data, {
+            seed,
+            scale: autoScale ? null : scaleType,
+            groove,
+            resolution,
+            preset,
+            tonality,
+            title: `GitMusic - ${songName}`
+        });
+
+        const url = URL.createObjectURL(new Blob([bytes], { type: 'audio/midi' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `git-music-${songName}.mid`;
+        a.click();
+        URL.revokeObjectURL(url);
+    };
+
     // URL to clipboard
     const handleShare = () => {
-        const shareUrl = `${window.location.origin}/${encodeURIComponent(username)}`;
+        // Imported data only exists on this machine
+        if (isImported) return;
+        // Seed travels with the link so friends hear the exact same song
+        // A platform picked explicitly travels with the link: auto-detect could pick another
+        // one and play its data with this seed (self-hosted and merged graphs always need it)
+        const shareUrl = buildShareUrl(window.location.origin, songName, {
+            seed,
+            ...range,
+            host,
+            levels,
+            preset: preset !== DEFAULT_PRESET ? preset : null,
+            key: keyOverride,
+            octave: octave !== DEFAULT_OCTAVE ? octave : null,
+            mix: serializeMixer(mixer),
+            spatial: spatial !== DEFAULT_SPATIAL ? spatial : null,
+            loop: formatLoop(loop),
+            bpm: groove.bpm,
+            swing: groove.swing || null,
+            humanize: formatHumanize(groove.humanize),
+            daily: resolution.mode === 'daily' ? resolution.dayStep : null,
+            platform: isPlatformPinned ? platform : null
+        });
         navigator.clipboard.writeText(shareUrl).then(() => {
             setShowToast(true);
         }).catch(() => {
@@ -607,31 +1035,91 @@ const GitSequencer = () => {
     // Load user from URL on mount
     useEffect(() => {
         // Support both /username and ?user=username formats
-        const pathname = window.location.pathname;
-        const pathUser = pathname.split('/').filter(Boolean).pop();
-        const params = new URLSearchParams(window.location.search);
-        const queryUser = params.get('user');
-        const queryPlatform = params.get('platform');
+        const {
+            username: userParam,
+            platform: queryPlatform,
+            seed: querySeed,
+            range: queryRange,
+            host: queryHost,
+            levels: queryLevels,
+            preset: queryPreset,
+            key: queryKey,
+            octave: queryOctave,
+            mixer: queryMixer,
+            spatial: querySpatial,
+            loop: queryLoop,
+            bpm: queryBpm,
+            swing: querySwing,
+            humanize: queryHumanize,
+            daily: queryDaily
+        } = readShareUrl(window.location);
+
+        if (queryPreset) {
+            setPreset(queryPreset);
+        }
+        if (queryOctave) {
+            setOctave(queryOctave);
+        }
+        if (queryMixer) {
+            setMixer(queryMixer);
+        }
+        if (querySpatial) {
+            setSpatial(querySpatial);
+        }
+        if (queryLoop) {
+            setLoop(queryLoop);
+        }
+        if (queryDaily) {
+            setResolution({ mode: 'daily', dayStep: queryDaily });
+        }
+        if (queryBpm || querySwing || queryHumanize) {
+            setGroove({
+                bpm: queryBpm,
+                swing: querySwing ?? DEFAULT_GROOVE.swing,
+                humanize: queryHumanize ?? DEFAULT_GROOVE.humanize
+            });
+        }
 
         // Set platform if specified in URL
-        if (queryPlatform === 'gitlab') {
-            setPlatform('gitlab');
+        if (queryPlatform) {
+            setPlatform(queryPlatform);
         }
 
-        const userParam = pathUser || queryUser;
         if (userParam) {
             setUsername(userParam);
-            loadData(userParam, queryPlatform);
+            setSeedOverride(querySeed);
+            setRange(queryRange);
+            setHost(queryHost);
+            setLevels(queryLevels);
+            setKeyOverride(queryKey);
+            loadData(userParam, queryPlatform, { ...queryRange, host: queryHost, levels: queryLevels });
         }
     }, []);
 
     // Keyboard shortcuts
     useEffect(() => {
         const handleKeyDown = (e) => {
-            // Skip if typing in input
-            if (e.target.tagName === 'INPUT') return;
+            // Skip while a form control has focus (arrows change a select's value, keys type text)
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || e.target.isContentEditable) return;
+
+            // 1-4 mute a track, Shift+1-4 solo it
+            const track = MIXER_TRACKS[Number(e.code.replace('Digit', '')) - 1];
+            if (e.code.startsWith('Digit') && track) {
+                const field = e.shiftKey ? 'solo' : 'mute';
+                setMixer(current => ({ ...current, [track]: { ...current[track], [field]: !current[track][field] } }));
+                return;
+            }
 
             switch (e.code) {
+                // Arrows jump a week, with Shift a month (4 weeks)
+                case 'ArrowLeft':
+                case 'ArrowRight':
+                    if (isPlaying || isPaused) {
+                        e.preventDefault();
+                        const weeks = e.shiftKey ? 4 : 1;
+                        handleSeek(activeCol + (e.code === 'ArrowLeft' ? -weeks : weeks));
+                    }
+                    break;
                 case 'Space':
                     e.preventDefault();
                     handleTogglePlay();
@@ -642,18 +1130,33 @@ const GitSequencer = () => {
                 case 'KeyS':
                     if (data) handleShare();
                     break;
+                case 'KeyW':
+                    if (data) handleExportAudio();
+                    break;
+                case 'KeyM':
+                    if (data) handleExportMidi();
+                    break;
                 case 'KeyP':
                     if (data) handleScreenshot();
                     break;
+                case 'KeyX':
+                    setShowMixer(show => !show);
+                    break;
+                case 'KeyL':
+                    setLoop(null);
+                    break;
+                case 'KeyT':
+                    handleTap();
+                    break;
                 case 'Escape':
-                    if (isPlaying) stop();
+                    if (isPlaying || isPaused) stop();
                     if (isRecording) handleExport();
                     break;
             }
         };
         window.addEventListener('keydown', handleKeyDown);
         return () => window.removeEventListener('keydown', handleKeyDown);
-    }, [handleTogglePlay, data, isPlaying, isRecording, stop, handleExport, handleShare, handleScreenshot]);
+    }, [handleTogglePlay, handleSeek, handleTap, activeCol, data, isPlaying, isPaused, isRecording, stop, handleExport, handleExportAudio, handleExportMidi, handleShare, handleScreenshot]);
 
     // Update cursor position
     const updateCursorPos = useCallback(() => {
@@ -671,7 +1174,26 @@ const GitSequencer = () => {
     };
 
     return (
-        <div className="terminal-window">
+        <div
+            className={`terminal-window ${isDragging ? 'dragging' : ''}`}
+            onDragOver={(e) => {
+                e.preventDefault();
+                setIsDragging(true);
+            }}
+            onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+            }}
+            onDrop={handleDrop}
+        >
+            {/* Hidden picker for `gitmusic import` */}
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept=".txt,.log,.csv,.json"
+                onChange={handleFilePicked}
+                hidden
+            />
+
             {/* Toast Notification */}
             <div className={`toast-notification ${showToast ? 'show' : ''}`}>
                 Link copied to clipboard
@@ -732,8 +1254,8 @@ const GitSequencer = () => {
                             onBlur={() => {
                                 // Hide cursor when not focused
                                 setShowCursor(false);
-                                // Auto-load on click outside if valid
-                                if (username.trim() && !isLoading) {
+                                // Auto-load on click outside if valid (and not already run)
+                                if (username.trim() && !isLoading && username !== lastCommandRef.current) {
                                     handleSearch({ preventDefault: () => { } });
                                 }
                             }}
@@ -757,11 +1279,23 @@ const GitSequencer = () => {
                     ) : data && hasNoContributions ? (
                         <span className="warning">⚠ no contributions found for this user</span>
                     ) : data ? (
-                        <span className="success">✓ loaded {data.weeks.length} weeks</span>
+                        <span className="success">
+                            ✓ {data.sources ? 'merged' : isImported ? 'imported' : 'loaded'} {data.weeks.length} weeks from {platformName}{rangeLabel && ` · ${rangeLabel}`}
+                            {cacheStatus && (
+                                <span className={cacheStatus.stale ? 'warning' : 'dim'}>
+                                    {' '}· {cacheStatus.stale ? 'offline, ' : ''}cached {formatDistanceToNow(cacheStatus.savedAt)} ago
+                                </span>
+                            )}
+                            <span className="dim"> · key {musicalKey} · seed {seed}</span>
+                        </span>
                     ) : (
                         <>
                             <div className="hint-tip">└─ default: most active contributions</div>
-                            <div className="hint-tip">└─ use -p github|gitlab to force platform</div>
+                            <div className="hint-tip">└─ use -p {listProviders().map(p => p.id).join('|')} to force platform, or --merge to combine</div>
+                            <div className="hint-tip">└─ use --year 2023 or --from/--to yyyy-mm-dd for a period</div>
+                            <div className="hint-tip">└─ use --seed &lt;value&gt; to replay a song, --refresh to skip the cache</div>
+                            <div className="hint-tip">└─ use --preset {Object.keys(PRESETS).join('|')} to change instruments, --key F# --octave 3 to transpose, --spatial stereo|3d to spread the rows, --loop 10-18 to repeat weeks, --bpm 96|auto --swing 30 --humanize 20 for the feel, --daily --step 16n to play day by day</div>
+                            <div className="hint-tip">└─ type import, or drop a git log / CSV / JSON file, to play local history</div>
                         </>
                     )
                     }
@@ -780,7 +1314,10 @@ const GitSequencer = () => {
                                 weekIndex={wIndex}
                                 isActive={activeCol === wIndex}
                                 activeNotes={activeCol === wIndex ? activeNotes : []}
+                                loopClassName={loopClass(shownLoop, wIndex)}
                                 style={{ '--col-index': wIndex }}
+                                onSelectStart={handleSelectStart}
+                                onSelectMove={handleSelectMove}
                             />
                         ))}
                     </div>
@@ -805,6 +1342,35 @@ const GitSequencer = () => {
                 )}
             </div>
 
+            {/* Progress */}
+            {data && !isAnimating && !error && (
+                <div className="progress-row">
+                    <div className="progress-bar" onClick={handleProgressClick} title="Click to seek (← → a week, Shift a month)">
+                        {loop && (
+                            <div
+                                className="progress-loop"
+                                style={{
+                                    left: `${loop.start / data.weeks.length * 100}%`,
+                                    width: `${(Math.min(loop.end, data.weeks.length - 1) - loop.start + 1) / data.weeks.length * 100}%`
+                                }}
+                            />
+                        )}
+                        <div
+                            className="progress-fill"
+                            style={{ width: `${(isPlaying || isPaused ? activeCol + 1 : 0) / data.weeks.length * 100}%` }}
+                        />
+                    </div>
+                    <span className="progress-time">
+                        {formatTime(isPlaying || isPaused ? Math.max(0, activeCol) * weekSeconds : 0)} / {formatTime(data.weeks.length * weekSeconds)}
+                    </span>
+                    {loop && (
+                        <button className="progress-loop-clear" onClick={() => setLoop(null)} title="Clear loop (L)">
+                            ⟲ {formatLoop(loop)} ×
+                        </button>
+                    )}
+                </div>
+            )}
+
             {/* Controls */}
             <div className="controls-row">
                 <button
@@ -818,14 +1384,14 @@ const GitSequencer = () => {
                                 <rect x="6" y="4" width="4" height="16"></rect>
                                 <rect x="14" y="4" width="4" height="16"></rect>
                             </svg>
-                            <span>Stop</span>
+                            <span>Pause</span>
                         </>
                     ) : (
                         <>
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                                 <polygon points="5 3 19 12 5 21 5 3"></polygon>
                             </svg>
-                            <span>Play</span>
+                            <span>{isPaused ? 'Resume' : 'Play'}</span>
                         </>
                     )}
                 </button>
@@ -853,9 +1419,36 @@ const GitSequencer = () => {
                 </button>
                 <button
                     className="ctrl-btn"
-                    onClick={handleShare}
+                    onClick={handleExportAudio}
+                    disabled={!data || isAnimating || error || hasNoContributions || renderProgress !== null}
+                    title="Render the whole song to a WAV file"
+                >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                        <polyline points="7 10 12 15 17 10"></polyline>
+                        <line x1="12" y1="15" x2="12" y2="3"></line>
+                    </svg>
+                    <span>{renderProgress !== null ? `Rendering ${renderProgress}%` : 'WAV'}</span>
+                </button>
+                <button
+                    className="ctrl-btn"
+                    onClick={handleExportMidi}
                     disabled={!data || isAnimating || error || hasNoContributions}
-                    title="Copy link to clipboard"
+                    title="Download the song as a MIDI file"
+                >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                        <rect x="2" y="4" width="20" height="16" rx="2"></rect>
+                        <line x1="8" y1="4" x2="8" y2="14"></line>
+                        <line x1="16" y1="4" x2="16" y2="14"></line>
+                        <line x1="12" y1="14" x2="12" y2="20"></line>
+                    </svg>
+                    <span>MIDI</span>
+                </button>
+                <button
+                    className="ctrl-btn"
+                    onClick={handleShare}
+                    disabled={!data || isAnimating || error || hasNoContributions || isImported}
+                    title={isImported ? 'Imported files can\'t be shared' : 'Copy link to clipboard'}
                 >
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                         <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
@@ -863,14 +1456,206 @@ const GitSequencer = () => {
                     </svg>
                     <span>Copy Link</span>
                 </button>
+                <button
+                    className={`ctrl-btn ${showMixer ? 'active' : ''}`}
+                    onClick={() => setShowMixer(show => !show)}
+                    title="Show the mixer (X)"
+                >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                        <line x1="4" y1="21" x2="4" y2="14"></line>
+                        <line x1="4" y1="10" x2="4" y2="3"></line>
+                        <line x1="12" y1="21" x2="12" y2="12"></line>
+                        <line x1="12" y1="8" x2="12" y2="3"></line>
+                        <line x1="20" y1="21" x2="20" y2="16"></line>
+                        <line x1="20" y1="12" x2="20" y2="3"></line>
+                        <line x1="1" y1="14" x2="7" y2="14"></line>
+                        <line x1="9" y1="8" x2="15" y2="8"></line>
+                        <line x1="17" y1="16" x2="23" y2="16"></line>
+                    </svg>
+                    <span>Mixer</span>
+                </button>
+                <select
+                    className="ctrl-select"
+                    value={preset}
+                    onChange={(e) => setPreset(e.target.value)}
+                    disabled={isRecording}
+                    title="Instrument preset"
+                >
+                    {Object.entries(PRESETS).map(([id, { name }]) => (
+                        <option key={id} value={id}>♫ {name}</option>
+                    ))}
+                </select>
+                <select
+                    className="ctrl-select"
+                    value={keyOverride ?? ''}
+                    onChange={(e) => setKeyOverride(e.target.value || null)}
+                    title="Key (auto: the user's signature key)"
+                >
+                    <option value="">key: auto ({getSignatureKey(songName)})</option>
+                    {NOTE_NAMES.map(name => (
+                        <option key={name} value={name}>key: {name}</option>
+                    ))}
+                </select>
+                <select
+                    className="ctrl-select"
+                    value={octave}
+                    onChange={(e) => setOctave(Number(e.target.value))}
+                    title="Octave"
+                >
+                    {OCTAVES.map(value => (
+                        <option key={value} value={value}>oct {value}</option>
+                    ))}
+                </select>
+                <select
+                    className="ctrl-select"
+                    value={spatial}
+                    onChange={(e) => setSpatial(e.target.value)}
+                    title="Place weekday rows across the stereo field (3d: busy weeks sound closer, best on headphones)"
+                >
+                    {SPATIAL_MODES.map(mode => (
+                        <option key={mode} value={mode}>space: {mode}</option>
+                    ))}
+                </select>
+                <select
+                    className="ctrl-select"
+                    value={resolution.mode === 'daily' ? `daily:${resolution.dayStep}` : 'weekly'}
+                    onChange={handleResolutionChange}
+                    disabled={isRecording}
+                    title="Play a step per week (its days together) or per day (a melody line, empty days rest)"
+                >
+                    <option value="weekly">steps: week</option>
+                    {DAY_STEP_LENGTHS.map(length => (
+                        <option key={length} value={`daily:${length}`}>steps: day {length}</option>
+                    ))}
+                </select>
             </div>
 
 
 
+            {/* Mixer */}
+            {showMixer && (
+                <fieldset className="mixer-controls">
+                    <legend>mixer</legend>
+                    {MIXER_TRACKS.map((track, i) => (
+                        <MixerStrip
+                            key={track}
+                            track={track}
+                            number={i + 1}
+                            settings={mixer[track]}
+                            silent={mixer[track].mute || (isSoloing && !mixer[track].solo)}
+                            onChange={updateTrack}
+                        />
+                    ))}
+                    <MasterMeter getLevel={audioEngine.getLevel} />
+                </fieldset>
+            )}
+
+            {/* Groove: tempo, swing, humanize */}
+            <div className="groove-row">
+                <span className="dim">tempo</span>
+                <input
+                    type="range"
+                    min={BPM_RANGE.min}
+                    max={BPM_RANGE.max}
+                    step="1"
+                    value={displayBpm}
+                    onChange={(e) => updateGroove({ bpm: Number(e.target.value) })}
+                    title="Tempo (moving it turns adaptive off)"
+                />
+                <span className="groove-value">{displayBpm} bpm</span>
+                <label className="groove-toggle" title="Busier years play faster (80-110 bpm)">
+                    <input
+                        type="checkbox"
+                        checked={groove.bpm === null}
+                        onChange={(e) => updateGroove({ bpm: e.target.checked ? null : displayBpm })}
+                    />
+                    adaptive
+                </label>
+                <button className="ctrl-btn" onClick={handleTap} title="Tap the beat to set the tempo (T)">tap</button>
+                <span className="dim">swing</span>
+                <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="1"
+                    value={groove.swing}
+                    onChange={(e) => updateGroove({ swing: Number(e.target.value) })}
+                    title="Swing: 0 straight, 100 triplet shuffle"
+                />
+                <span className="groove-value">{groove.swing}%</span>
+                <span className="dim">humanize</span>
+                <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="1"
+                    value={groove.humanize.timing}
+                    onChange={(e) => updateGroove({ humanize: { ...groove.humanize, timing: Number(e.target.value) } })}
+                    title="Humanize timing"
+                />
+                <span className="groove-value">time {groove.humanize.timing}%</span>
+                <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="1"
+                    value={groove.humanize.velocity}
+                    onChange={(e) => updateGroove({ humanize: { ...groove.humanize, velocity: Number(e.target.value) } })}
+                    title="Humanize velocity"
+                />
+                <span className="groove-value">vel {groove.humanize.velocity}%</span>
+            </div>
+
+            {/* MIDI Output */}
+            <div className="midi-row">
+                <span className="dim">output</span>
+                <select
+                    className="ctrl-select"
+                    value={output.mode}
+                    onChange={(e) => output.setMode(e.target.value)}
+                    title="Send notes to the built-in synths, a MIDI device, or both"
+                >
+                    {OUTPUT_MODES.map(mode => (
+                        <option key={mode} value={mode}>{mode}</option>
+                    ))}
+                </select>
+                {output.mode !== 'audio' && (
+                    <>
+                        <select
+                            className="ctrl-select"
+                            value={output.outputId ?? ''}
+                            onChange={(e) => output.selectOutput(e.target.value || null)}
+                            title="MIDI device"
+                        >
+                            {output.outputs.length === 0 && <option value="">no MIDI devices</option>}
+                            {output.outputs.map(({ id, name }) => (
+                                <option key={id} value={id}>{name}</option>
+                            ))}
+                        </select>
+                        {Object.entries(output.channels).map(([track, channel]) => (
+                            <label key={track} className="midi-channel">
+                                <span className="dim">{track}</span>
+                                <select
+                                    className="ctrl-select"
+                                    value={channel}
+                                    onChange={(e) => output.setChannel(track, Number(e.target.value))}
+                                    title={`MIDI channel for ${track}`}
+                                >
+                                    {MIDI_CHANNELS.map(value => (
+                                        <option key={value} value={value}>ch {value}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        ))}
+                    </>
+                )}
+                {output.error && <span className="error">✗ {output.error}</span>}
+            </div>
+
             {/* Footer hint */}
             <div className="footer-hint">
                 {data && !isAnimating && !error
-                    ? 'Space: play · R: record · S: share · Esc: stop'
+                    ? 'Space: play/pause · ←→: seek · drag: loop · T: tap tempo · R: record · W: wav · M: midi · S: share · X: mixer · Esc: stop'
                     : '\u00A0'
                 }
             </div>
@@ -0,0 +1,210 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import * as Tone from 'tone';
+import {
+    DEFAULT_MIDI_CHANNELS,
+    createMidiSender,
+    isMidiSupported,
+    listOutputs,
+    requestMidiAccess
+} from '../audio/midiOutput';
+import { getMelodyPitch, getChordPitches } from '../music/scales';
+import { VELOCITIES } from '../music/composer';
+
+// Audio context time -> performance.now() time, the clock Web MIDI timestamps use
+function toTimestamp(time) {
+    const context = Tone.getContext().rawContext;
+    const { contextTime, performanceTime } = context.getOutputTimestamp?.() ?? {};
+    if (performanceTime) {
+        return performanceTime + (time - contextTime) * 1000;
+    }
+    return performance.now() + (time - context.currentTime) * 1000;
+}
+
+const seconds = (duration) => Tone.Time(duration).toSeconds();
+
+// The sender to use for this note, null when MIDI output is off
+const midiSender = (modeRef, senderRef) => modeRef.current !== 'audio' ? senderRef.current : null;
+
+// Routes the sequencer's notes to the audio engine, a MIDI output, or both
+// Exposes the same play* functions as useAudioEngine, so useSequencer doesn't know the difference
+export function useMidiOutput(audioEngine, tonality) {
+    const [mode, setMode] = useState('audio'); // 'audio' | 'midi' | 'both'
+    const [access, setAccess] = useState(null);
+    const [outputs, setOutputs] = useState([]);
+    const [outputId, setOutputId] = useState(null);
+    const [channels, setChannels] = useState(DEFAULT_MIDI_CHANNELS);
+    const [error, setError] = useState(null);
+
+    const modeRef = useRef(mode);
+    const senderRef = useRef(null);
+    const tonalityRef = useRef(tonality);
+
+    useEffect(() => {
+        modeRef.current = mode;
+    }, [mode]);
+
+    useEffect(() => {
+        tonalityRef.current = tonality;
+    }, [tonality]);
+
+    // Ask for MIDI access the first time MIDI output is turned on
+    const changeMode = useCallback(async (value) => {
+        setMode(value);
+        if (value === 'audio' || access) return;
+
+        const midiAccess = await requestMidiAccess();
+        if (!midiAccess) {
+            setError(isMidiSupported() ? 'MIDI access denied' : 'Web MIDI is not supported in this browser');
+            setMode('audio');
+            return;
+        }
+        setError(null);
+        setAccess(midiAccess);
+    }, [access]);
+
+    // Keep the device list current as devices are plugged in and out
+    useEffect(() => {
+        if (!access) return;
+
+        const refresh = () => {
+            const list = listOutputs(access);
+            setOutputs(list);
+            setOutputId(current => list.some(o => o.id === current) ? current : list[0]?.id ?? null);
+        };
+        refresh();
+        access.addEventListener('statechange', refresh);
+        return () => access.removeEventListener('statechange', refresh);
+    }, [access]);
+
+    // One sender per selected port and channel mapping
+    useEffect(() => {
+        const port = outputId ? access?.outputs.get(outputId) : null;
+        if (!port) return;
+
+        const sender = createMidiSender(port, { channels, toTimestamp });
+        senderRef.current = sender;
+
+        return () => {
+            sender.panic(Tone.now());
+            senderRef.current = null;
+        };
+    }, [access, outputId, channels]);
+
+    // MIDI clock, start and stop follow the Transport (pausing stops external gear too)
+    // Starting anywhere but the top (resume, play from a week) sends the song position and CONTINUE
+    // A seek while playing (setting Transport.ticks) emits stop then start at once: it's sent as
+    // a jump instead, so gear isn't rewound to bar 1 and held notes aren't cut
+    useEffect(() => {
+        if (mode === 'audio' || !outputId) return;
+
+        const transport = Tone.getTransport();
+        let clockId = null;
+        let pendingStop = null; // stop time, until we know it isn't half of a seek
+
+        // Transport position -> MIDI beats (sixteenth notes)
+        const songPosition = (time) => transport.getTicksAtTime(time) / (transport.PPQ / 4);
+
+        const stopClock = () => {
+            if (clockId !== null) transport.clear(clockId);
+            clockId = null;
+        };
+
+        const handleStart = (time) => {
+            const position = songPosition(time);
+            if (pendingStop !== null) {
+                pendingStop = null;
+                senderRef.current?.seek(position, time);
+                return;
+            }
+            if (position > 0) {
+                senderRef.current?.resume(position, time);
+            } else {
+                senderRef.current?.start(time);
+            }
+            // 24 pulses per quarter note
+            clockId = transport.scheduleRepeat((tickTime) => senderRef.current?.clock(tickTime), '96n');
+        };
+        const handleStop = (time) => {
+            pendingStop = time;
+            queueMicrotask(() => {
+                if (pendingStop === null) return;
+                pendingStop = null;
+                stopClock();
+                senderRef.current?.stop(time);
+            });
+        };
+        const handlePause = (time) => {
+            stopClock();
+            senderRef.current?.stop(time);
+        };
+        // The A/B loop wraps without stopping: move the gear back with it
+        const handleLoop = (time) => {
+            senderRef.current?.seek(songPosition(time), time);
+        };
+
+        transport.on('start', handleStart);
+        transport.on('stop', handleStop);
+        transport.on('pause', handlePause);
+        transport.on('loop', handleLoop);
+        return () => {
+            transport.off('start', handleStart);
+            transport.off('stop', handleStop);
+            transport.off('pause', handlePause);
+            transport.off('loop', handleLoop);
+            stopClock();
+        };
+    }, [mode, outputId]);
+
+    const { playNote: audioNote, playChord: audioChord, playKick: audioKick, playSnare: audioSnare, playHiHat: audioHiHat } = audioEngine;
+
+    const playNote = useCallback((note, time) => {
+        if (modeRef.current !== 'midi') audioNote(note, time);
+        const pitch = getMelodyPitch(tonalityRef.current, note.offset);
+        midiSender(modeRef, senderRef)?.playNotes('melody', [pitch], time, seconds('8n'), note.velocity ?? (VELOCITIES[note.level] || 0.5));
+    }, [audioNote]);
+
+    const playChord = useCallback((chord, time) => {
+        if (modeRef.current !== 'midi') audioChord(chord, time);
+        const pitches = getChordPitches(tonalityRef.current, chord.voicing);
+        midiSender(modeRef, senderRef)?.playNotes('pad', pitches, time, seconds('1n'));
+    }, [audioChord]);
+
+    const playKick = useCallback((time, velocity = 1) => {
+        if (modeRef.current !== 'midi') audioKick(time, velocity);
+        midiSender(modeRef, senderRef)?.playDrum('kick', time, seconds('8n'), velocity);
+    }, [audioKick]);
+
+    const playSnare = useCallback((time, velocity = 1) => {
+        if (modeRef.current !== 'midi') audioSnare(time, velocity);
+        midiSender(modeRef, senderRef)?.playDrum('snare', time, seconds('8n'), velocity);
+    }, [audioSnare]);
+
+    const playHiHat = useCallback((time, velocity = 0.2) => {
+        if (modeRef.current !== 'midi') audioHiHat(time, velocity);
+        midiSender(modeRef, senderRef)?.playDrum('hihat', time, seconds('32n'), velocity);
+    }, [audioHiHat]);
+
+    // Spatial placement and effects only exist in the built-in synths
+    const { applyWeek } = audioEngine;
+
+    const setChannel = useCallback((track, channel) => {
+        setChannels(current => ({ ...current, [track]: channel }));
+    }, []);
+
+    return {
+        mode,
+        setMode: changeMode,
+        outputs,
+        outputId,
+        selectOutput: setOutputId,
+        channels,
+        setChannel,
+        error,
+        playNote,
+        playChord,
+        playKick,
+        playSnare,
+        playHiHat,
+        applyWeek
+    };
+}
@@ -1,164 +1,162 @@
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect } from 'react';
 import * as Tone from 'tone';
+import { SCALE_NAMES } from '../music/scales';
+import { composeSong, getSoundingChord, DEFAULT_RESOLUTION } from '../music/song';
+import { DEFAULT_GROOVE } from '../music/groove';
+
+// Week column -> transport ticks at its first step (a week is one step, or seven in daily mode)
+const colTicks = (timeline, col) => col * timeline.stepsPerWeek * Tone.Time(timeline.stepLength).toTicks();
+
+const weekCount = (timeline) => timeline.steps.length / timeline.stepsPerWeek;
+
+// Week column under the playhead
+const currentCol = (timeline) => Math.floor(Tone.Transport.ticks / colTicks(timeline, 1));
+
+// Restrict the transport to the loop region (weeks start..end), clamped to the song
+// Returns the region actually applied, or null when playing the whole song
+function applyLoop(loop, timeline) {
+    const end = loop ? Math.min(loop.end, weekCount(timeline) - 1) : -1;
+    if (!loop || loop.start > end) {
+        Tone.Transport.loop = false;
+        return null;
+    }
+    Tone.Transport.setLoopPoints(`${colTicks(timeline, loop.start)}i`, `${colTicks(timeline, end + 1)}i`);
+    Tone.Transport.loop = true;
+    return { start: loop.start, end };
+}
 
-// Helper to get signature scale based on username hash
-// Helper to get a random scale from the safe list
-const getRandomScale = () => {
-    const SCALES = ['pentatonic', 'lydian', 'dorian', 'phrygianDom', 'mixolydian', 'harmonicMinor', 'hirajoshi'];
-    return SCALES[Math.floor(Math.random() * SCALES.length)];
-};
-
-export function useSequencer(audioEngine, username) {
+// loop: { start, end } week columns to repeat (A/B region), null for the whole song
+// groove: tempo, swing and humanize (see music/groove), changes apply while playing
+// resolution: a step per week or per day (see music/song), a change rebuilds the song from the current week
+export function useSequencer(audioEngine, loop = null, groove = DEFAULT_GROOVE, resolution = DEFAULT_RESOLUTION) {
     const [isPlaying, setIsPlaying] = useState(false);
+    const [isPaused, setIsPaused] = useState(false); // stopped mid-song, position kept
     const [activeCol, setActiveCol] = useState(-1);
     const [activeNotes, setActiveNotes] = useState([]);
 
-    // Initial scale is random for every session/refresh
-    const signatureScaleRef = useRef(getRandomScale());
-    const signatureScale = signatureScaleRef.current;
-
-    const [scaleType, setScaleType] = useState(signatureScale);
+    const [scaleType, setScaleType] = useState(SCALE_NAMES[0]);
     const [currentPattern, setCurrentPattern] = useState('Zen');
     const [bpm, setBpm] = useState(80);
     const [autoScale, setAutoScale] = useState(true);
 
-    const scaleTypeRef = useRef(signatureScale);
+    const scaleTypeRef = useRef(SCALE_NAMES[0]);
     const autoScaleRef = useRef(true);
     const sequenceRef = useRef(null);
-
-    const { playNote, playChord, playKick, playSnare, playHiHat } = audioEngine;
-
-    // Determine scale based on activity level
-    // FIXED: Use Single Signature Scale for consistent musical journey per user
-    const getScaleForActivity = (activity) => {
-        return { scale: scaleTypeRef.current, pattern: 'Flow' };
-    };
-
-    // Calculate block activity (sum of levels in a 4-week block)
-    const getBlockActivity = (data, colIndex) => {
-        const blockStart = Math.floor(colIndex / 4) * 4;
-        let activity = 0;
-        for (let i = 0; i < 4; i++) {
-            if (data.weeks[blockStart + i]) {
-                data.weeks[blockStart + i].days.forEach(d => activity += d.level);
-            }
-        }
-        return activity;
-    };
-
-    // Find chord root from upcoming weeks
-    const findChordRoot = (data, colIndex) => {
-        let foundRootIndex = 0;
-        let maxLevel = -1;
-
-        for (let i = 0; i < 4; i++) {
-            const targetWeek = data.weeks[colIndex + i];
-            if (targetWeek) {
-                targetWeek.days.forEach((d, idx) => {
-                    if (d.level > 2 && d.level > maxLevel) {
-                        maxLevel = d.level;
-                        foundRootIndex = idx;
-                    }
-                });
-            }
-        }
-        return foundRootIndex;
-    };
-
-    // Start playback
-    const play = useCallback(async (data) => {
+    const songRef = useRef(null); // { data, seed, timeline } being played
+    const resumingRef = useRef(false); // next step follows a start, resume or seek
+    const loopRef = useRef(loop);
+    const grooveRef = useRef(groove);
+    const resolutionRef = useRef(resolution);
+
+    const { playNote, playChord, playKick, playSnare, playHiHat, applyWeek } = audioEngine;
+
+    // Compose with the current scale choice, groove and resolution
+    const compose = useCallback((data, seed) => composeSong(data, {
+        seed,
+        scale: autoScaleRef.current ? null : scaleTypeRef.current,
+        groove: grooveRef.current,
+        resolution: resolutionRef.current
+    }), []);
+
+    // Start playback, from the first week or `startCol`
+    // `paused` only builds the sequence and moves the playhead there, for resume() to start it
+    // The whole song is composed up front (see music/song): every random choice comes
+    // from the seed, so the same seed replays the same song
+    const play = useCallback(async (data, seed, startCol = 0, { paused = false } = {}) => {
         if (!data) return;
 
         await Tone.start();
         Tone.context.lookAhead = 0.1; // Increase lookahead for mobile stability
 
-        const cols = data.weeks.map((_, i) => i);
-
-        if (sequenceRef.current) sequenceRef.current.dispose();
-
-        sequenceRef.current = new Tone.Sequence((time, colIndex) => {
-            const week = data.weeks[colIndex];
-            if (!week) return;
+        const timeline = compose(data, seed);
+        songRef.current = { data, seed, timeline };
+        const stepIndexes = timeline.steps.map(step => step.index);
 
-            const beat = colIndex % 4;
-            const blockActivity = getBlockActivity(data, colIndex);
+        setScaleType(timeline.scale);
+        scaleTypeRef.current = timeline.scale;
 
-            // --- CHORD PAD LOGIC ---
-            if (colIndex % 4 === 0) {
-                const rootIndex = findChordRoot(data, colIndex);
-                playChord(scaleTypeRef.current, rootIndex, time);
-            }
+        if (sequenceRef.current) sequenceRef.current.dispose();
 
-            // --- SCALE/MOOD LOGIC ---
-            if (autoScaleRef.current && beat === 0) {
-                const { scale, pattern } = getScaleForActivity(blockActivity);
-                setScaleType(scale);
-                scaleTypeRef.current = scale;
-                setCurrentPattern(pattern);
+        sequenceRef.current = new Tone.Sequence((gridTime, stepIndex) => {
+            // Read through the ref: a scale or groove change swaps the timeline mid-song
+            const { timeline } = songRef.current;
+            const { col, swing, chord, drums, notes, highlight } = timeline.steps[stepIndex];
+            const time = gridTime + swing;
+            const resuming = resumingRef.current;
+            resumingRef.current = false;
+
+            // Placement and effects move once per week (and catch up after a jump)
+            if (stepIndex % timeline.stepsPerWeek === 0 || resuming) {
+                applyWeek(data, col, time);
             }
 
-            // --- DRUM LOGIC ---
-            const isBusy = blockActivity > 15;
-            const isMedium = blockActivity > 5;
-
-            if (beat === 0) {
-                playKick(time);
-            } else if (beat === 2 && isMedium) {
-                playSnare(time);
-            } else if (isBusy) {
-                playHiHat(time, 0.3);
-            } else if (isMedium && (beat === 1 || beat === 3)) {
-                playHiHat(time, 0.2);
+            // Mid-block after a resume or seek, bring back the chord that should be sounding
+            const sounding = chord ?? (resuming ? getSoundingChord(timeline, stepIndex) : null);
+            if (sounding) {
+                playChord(sounding, time);
+                if (autoScaleRef.current) setCurrentPattern('Flow');
             }
 
-            // --- MELODY LOGIC ---
-            const activeDays = week.days
-                .map((d, i) => ({ day: d, index: i }))
-                .filter(item => item.day.level > 0);
-
-            if (activeDays.length > 0) {
-                let selectedNotes = [];
-                const roll = Math.random();
-
-                // 40% chance: Single Note (Melodic)
-                // 40% chance: Sparse Chord (2-3 notes)
-                // 20% chance: Cluster (up to 4 notes)
-
-                if (roll < 0.4) {
-                    // Pick one random note for a clear melody line
-                    const randomIdx = Math.floor(Math.random() * activeDays.length);
-                    selectedNotes = [activeDays[randomIdx]];
-                } else if (roll < 0.8) {
-                    // Pick 2-3 random notes for a sparse chord
-                    const shuffled = [...activeDays].sort(() => 0.5 - Math.random());
-                    selectedNotes = shuffled.slice(0, 2 + Math.floor(Math.random() * 2));
-                } else {
-                    // Play up to 4 notes for a richer texture, but avoid full 7-note chords
-                    const shuffled = [...activeDays].sort(() => 0.5 - Math.random());
-                    selectedNotes = shuffled.slice(0, 4);
-                }
-
-                selectedNotes.forEach(({ day, index }) => {
-                    playNote(scaleTypeRef.current, index, day.level, time);
-                });
-
-                Tone.Draw.schedule(() => {
-                    setActiveCol(colIndex);
-                    setActiveNotes(selectedNotes.map(n => n.index));
-                }, time);
-            }
-        }, cols, "8n").start("0:0:0");
+            drums.forEach(({ type, velocity, nudge }) => {
+                if (type === 'kick') playKick(time + nudge, velocity);
+                else if (type === 'snare') playSnare(time + nudge, velocity);
+                else playHiHat(time + nudge, velocity);
+            });
+
+            notes.forEach(note => playNote(note, time + note.nudge));
+
+            Tone.Draw.schedule(() => {
+                setActiveCol(highlight.col);
+                setActiveNotes(highlight.rows);
+            }, time);
+        }, stepIndexes, timeline.stepLength).start("0:0:0");
+
+        Tone.Transport.bpm.value = timeline.bpm;
+        setBpm(timeline.bpm);
+        // With a loop, playback starts at its beginning unless asked to start inside it
+        const region = applyLoop(loopRef.current, timeline);
+        const inLoop = !region || (startCol >= region.start && startCol <= region.end);
+        const col = inLoop ? startCol : region.start;
+        Tone.Transport.ticks = colTicks(timeline, col);
+        resumingRef.current = true;
+        if (paused) {
+            setActiveCol(col);
+            setActiveNotes([]);
+            return;
+        }
+        Tone.Transport.start();
+        setIsPlaying(true);
+        setIsPaused(false);
+    }, [compose, playNote, playChord, playKick, playSnare, playHiHat, applyWeek]);
 
-        // Adaptive BPM
-        let totalContribs = 0;
-        data.weeks.forEach(w => w.days.forEach(d => totalContribs += d.count));
-        const calculatedBpm = Math.min(110, Math.max(80, 80 + Math.floor(totalContribs / 50)));
+    // Pause, keeping the position
+    const pause = useCallback(() => {
+        Tone.Transport.pause();
+        setIsPlaying(false);
+        setIsPaused(true);
+    }, []);
 
-        Tone.Transport.bpm.value = calculatedBpm;
-        setBpm(calculatedBpm);
+    const resume = useCallback(() => {
+        resumingRef.current = true;
         Tone.Transport.start();
         setIsPlaying(true);
-    }, [playNote, playChord, playKick, playSnare, playHiHat]);
+        setIsPaused(false);
+    }, []);
+
+    // Jump to a week column, playing or paused (starts playback when stopped)
+    const seek = useCallback(async (data, seed, colIndex) => {
+        if (!sequenceRef.current) {
+            await play(data, seed, colIndex);
+            return;
+        }
+        const { timeline } = songRef.current;
+        const col = Math.max(0, Math.min(weekCount(timeline) - 1, colIndex));
+
+        Tone.Transport.ticks = colTicks(timeline, col);
+        resumingRef.current = true;
+        setActiveCol(col);
+        setActiveNotes([]);
+    }, [play]);
 
     // Stop playback
     const stop = useCallback(() => {
@@ -170,22 +168,71 @@ export function useSequencer(audioEngine, username) {
         }
 
         Tone.Transport.stop();
+        Tone.Transport.loop = false;
         Tone.Transport.cancel(); // Clear all scheduled events
         Tone.Transport.position = "0:0:0"; // Reset position safely
+        songRef.current = null;
 
         setIsPlaying(false);
+        setIsPaused(false);
         setActiveCol(-1);
         setActiveNotes([]);
     }, []);
 
-    // Toggle playback
-    const toggle = useCallback(async (data) => {
+    // The pad chord at the loop start may belong to a block that was left behind: bring it back on every pass
+    useEffect(() => {
+        const onLoop = () => { resumingRef.current = true; };
+        Tone.Transport.on('loop', onLoop);
+        return () => Tone.Transport.off('loop', onLoop);
+    }, []);
+
+    // Set, move or clear the loop while playing: jump into it if the playhead is outside
+    useEffect(() => {
+        loopRef.current = loop;
+        if (!songRef.current) return;
+
+        const { timeline } = songRef.current;
+        const region = applyLoop(loop, timeline);
+        const col = currentCol(timeline);
+        if (region && (col < region.start || col > region.end)) {
+            Tone.Transport.ticks = colTicks(timeline, region.start);
+            resumingRef.current = true;
+        }
+    }, [loop]);
+
+    // New tempo, swing or humanize: recompose and retime the song in place
+    useEffect(() => {
+        grooveRef.current = groove;
+        if (!songRef.current) return;
+
+        const { data, seed } = songRef.current;
+        const timeline = compose(data, seed);
+        songRef.current = { data, seed, timeline };
+        Tone.Transport.bpm.value = timeline.bpm;
+        setBpm(timeline.bpm);
+    }, [groove, compose]);
+
+    // Switching between weekly and daily steps rebuilds the sequence from the current week,
+    // playing on if it was playing and staying paused if it was paused
+    useEffect(() => {
+        if (resolutionRef.current === resolution) return;
+        resolutionRef.current = resolution;
+        if (!songRef.current) return;
+
+        const { data, seed, timeline } = songRef.current;
+        play(data, seed, currentCol(timeline), { paused: Tone.Transport.state !== 'started' });
+    }, [resolution, play]);
+
+    // Toggle playback: play, pause, resume
+    const toggle = useCallback(async (data, seed) => {
         if (isPlaying) {
-            stop();
+            pause();
+        } else if (isPaused) {
+            resume();
         } else {
-            await play(data);
+            await play(data, seed);
         }
-    }, [isPlaying, play, stop]);
+    }, [isPlaying, isPaused, play, pause, resume]);
 
     // Change scale manually
     const changeScale = useCallback((value) => {
@@ -197,11 +244,17 @@ export function useSequencer(audioEngine, username) {
             autoScaleRef.current = false;
             setScaleType(value);
             scaleTypeRef.current = value;
+            // Recompose the rest of the song in the new scale
+            if (songRef.current) {
+                const { data, seed } = songRef.current;
+                songRef.current = { data, seed, timeline: compose(data, seed) };
+            }
         }
-    }, []);
+    }, [compose]);
 
     return {
         isPlaying,
+        isPaused,
         activeCol,
         activeNotes,
         scaleType,
@@ -209,6 +262,9 @@ export function useSequencer(audioEngine, username) {
         bpm,
         autoScale,
         play,
+        pause,
+        resume,
+        seek,
         stop,
         toggle,
         changeScale
@@ -0,0 +1,148 @@
+import { createRng, pick, shuffle } from '../utils/random.js';
+import { SCALE_NAMES, getMelodyOffset } from './scales.js';
+import { createProgression, nearestChordTone } from './harmony.js';
+
+// The musical decisions behind a song, independent of Tone.js and of any clock
+// The live sequencer and the exporters all step through the same composer,
+// so a seed always yields the same notes whether it's played, rendered or exported
+
+// Melody velocity per contribution level (level 0 never plays)
+export const VELOCITIES = [0, 0.5, 0.6, 0.7, 0.8];
+
+// Calculate block activity (sum of levels in a 4-week block)
+export function getBlockActivity(data, colIndex) {
+    const blockStart = Math.floor(colIndex / 4) * 4;
+    let activity = 0;
+    for (let i = 0; i < 4; i++) {
+        if (data.weeks[blockStart + i]) {
+            data.weeks[blockStart + i].days.forEach(d => activity += d.level);
+        }
+    }
+    return activity;
+}
+
+// Busiest weekday of the upcoming weeks, picks the chord within its function (see harmony)
+export function findChordRoot(data, colIndex) {
+    let foundRootIndex = 0;
+    let maxLevel = -1;
+
+    for (let i = 0; i < 4; i++) {
+        const targetWeek = data.weeks[colIndex + i];
+        if (targetWeek) {
+            targetWeek.days.forEach((d, idx) => {
+                if (d.level > 2 && d.level > maxLevel) {
+                    maxLevel = d.level;
+                    foundRootIndex = idx;
+                }
+            });
+        }
+    }
+    return foundRootIndex;
+}
+
+// Adaptive BPM: 80 for quiet years up to 110 for busy ones
+export function getAdaptiveBpm(data) {
+    let totalContribs = 0;
+    data.weeks.forEach(w => w.days.forEach(d => totalContribs += d.count));
+    return Math.min(110, Math.max(80, 80 + Math.floor(totalContribs / 50)));
+}
+
+// Seconds per step: weeks are played as eighth notes, days (see song) can be shorter
+export function getStepSeconds(bpm, length = '8n') {
+    return 60 / bpm * 4 / parseInt(length, 10);
+}
+
+// Stateful composer for one playback of a song
+// Steps must be requested in playback order: each one draws from the seeded RNG
+// and moves the harmony on
+//   scale - fixed scale name, or null to let the seed pick one
+// step(colIndex) -> {
+//     chord: { degree, quality, symbol, voicing } struck this week, or null (see harmony),
+//     drums: [{ type: 'kick' | 'snare' | 'hihat', velocity }],
+//     notes: [{ index, level, offset }] - weekday row, level and pitch (semitones above the key root)
+// }
+// Melody notes on strong beats (1st and 3rd week of a block) are moved to the nearest chord tone
+export function createComposer(data, seed, { scale = null } = {}) {
+    const rng = createRng(seed);
+    // Starting scale is picked by the seed (unless set manually)
+    const startScale = scale ?? pick(SCALE_NAMES, rng);
+    const progression = createProgression(startScale);
+    const lastBlock = Math.floor((data.weeks.length - 1) / 4);
+
+    const step = (colIndex) => {
+        const week = data.weeks[colIndex];
+        if (!week) return { chord: null, drums: [], notes: [] };
+
+        const beat = colIndex % 4;
+        const blockActivity = getBlockActivity(data, colIndex);
+
+        const isBusy = blockActivity > 15;
+        const isMedium = blockActivity > 5;
+
+        // --- CHORD PAD LOGIC ---
+        const chord = beat === 0
+            ? progression.next({
+                block: colIndex / 4,
+                lastBlock,
+                chooser: findChordRoot(data, colIndex),
+                energy: isBusy ? 'busy' : isMedium ? 'medium' : 'quiet'
+            })
+            : null;
+
+        // --- DRUM LOGIC ---
+        const drums = [];
+
+        if (beat === 0) {
+            drums.push({ type: 'kick', velocity: 1 });
+        } else if (beat === 2 && isMedium) {
+            drums.push({ type: 'snare', velocity: 1 });
+        } else if (isBusy) {
+            drums.push({ type: 'hihat', velocity: 0.3 });
+        } else if (isMedium && (beat === 1 || beat === 3)) {
+            drums.push({ type: 'hihat', velocity: 0.2 });
+        }
+
+        // --- MELODY LOGIC ---
+        const activeDays = week.days
+            .map((d, i) => ({ index: i, level: d.level }))
+            .filter(item => item.level > 0);
+
+        let notes = [];
+        if (activeDays.length > 0) {
+            const roll = rng();
+
+            // 40% chance: Single Note (Melodic)
+            // 40% chance: Sparse Chord (2-3 notes)
+            // 20% chance: Cluster (up to 4 notes)
+
+            if (roll < 0.4) {
+                // Pick one random note for a clear melody line
+                notes = [pick(activeDays, rng)];
+            } else if (roll < 0.8) {
+                // Pick 2-3 random notes for a sparse chord
+                const shuffled = shuffle(activeDays, rng);
+                notes = shuffled.slice(0, 2 + Math.floor(rng() * 2));
+            } else {
+                // Play up to 4 notes for a richer texture, but avoid full 7-note chords
+                const shuffled = shuffle(activeDays, rng);
+                notes = shuffled.slice(0, 4);
+            }
+        }
+
+        // Strong beats land on the chord
+        const sounding = progression.current();
+        const strong = beat === 0 || beat === 2;
+        notes = notes.map(({ index, level }) => {
+            const offset = getMelodyOffset(startScale, index, level);
+            return { index, level, offset: strong && sounding ? nearestChordTone(offset, sounding.voicing) : offset };
+        });
+
+        return { chord, drums, notes };
+    };
+
+    return {
+        scale: startScale,
+        bpm: getAdaptiveBpm(data),
+        step
+    };
+}
@@ -0,0 +1,90 @@
+import { createRng } from '../utils/random.js';
+
+// Groove: how the song is played rather than what is played
+//   bpm      - fixed tempo, or null for the adaptive tempo (busier years play faster, see composer)
+//   swing    - 0 (straight) .. 100 (triplet shuffle): how late every second eighth note lands
+//   humanize - { timing, velocity } 0..100: random nudges so hits aren't machine-perfect
+// Humanizing is seeded like the composition, so a shared link sounds the same everywhere
+
+export const BPM_RANGE = { min: 50, max: 160 };
+
+export const DEFAULT_GROOVE = {
+    bpm: null,
+    swing: 0,
+    humanize: { timing: 0, velocity: 0 }
+};
+
+// Largest timing nudge (seconds, either way) and velocity change (fraction, either way) at 100%
+const MAX_NUDGE = 0.02;
+const MAX_VELOCITY_SPREAD = 0.25;
+
+// Taps further apart than this start a new count, and only the latest few are averaged
+const TAP_TIMEOUT = 2000;
+const TAP_COUNT = 4;
+
+export function isBpm(value) {
+    return Number.isInteger(value) && value >= BPM_RANGE.min && value <= BPM_RANGE.max;
+}
+
+export function isPercent(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 100;
+}
+
+// '96' -> 96, 'auto' -> null (adaptive), undefined if invalid
+export function parseBpm(value) {
+    if (String(value).toLowerCase() === 'auto') return null;
+    return isBpm(Number(value)) ? Number(value) : undefined;
+}
+
+// '30' -> 30, undefined unless a whole number 0-100
+export function parsePercent(value) {
+    return /^\d{1,3}$/.test(value ?? '') && isPercent(Number(value)) ? Number(value) : undefined;
+}
+
+const clampBpm = (bpm) => Math.max(BPM_RANGE.min, Math.min(BPM_RANGE.max, Math.round(bpm)));
+
+// Delay of a step in seconds: odd steps (the off eighths) are pushed towards the next beat
+export function getSwingDelay(index, stepSeconds, swing) {
+    return index % 2 === 1 ? (swing / 100) * stepSeconds / 3 : 0;
+}
+
+// Seeded humanizer for one song, draws in playback order
+// Every event draws the same random numbers whatever the amounts, so an amount only scales them
+export function createHumanizer(seed, { timing, velocity }) {
+    const rng = createRng(`${seed}:humanize`);
+    const spread = () => rng() * 2 - 1;
+
+    return {
+        // Seconds to shift an event by, never before the start of the song
+        nudge: (time) => Math.max(-time, spread() * MAX_NUDGE * timing / 100),
+        velocity: (value) => Math.max(0.05, Math.min(1, value * (1 + spread() * MAX_VELOCITY_SPREAD * velocity / 100)))
+    };
+}
+
+// '20' (both) or '20,10' (timing, velocity) -> { timing, velocity }, undefined if invalid
+export function parseHumanize(value) {
+    const parts = String(value ?? '').split(',').map(parsePercent);
+    if (parts.length > 2 || parts.includes(undefined)) return undefined;
+    const [timing, velocity = timing] = parts;
+    return { timing, velocity };
+}
+
+// Humanize amounts back to their link form, null when off
+export function formatHumanize({ timing, velocity }) {
+    if (!timing && !velocity) return null;
+    return timing === velocity ? String(timing) : `${timing},${velocity}`;
+}
+
+// Tap tempo: call with a timestamp (ms) on every tap -> bpm once there are two taps, else null
+export function createTapTempo() {
+    let taps = [];
+
+    return (now) => {
+        if (taps.length && now - taps[taps.length - 1] > TAP_TIMEOUT) taps = [];
+        taps = [...taps.slice(1 - TAP_COUNT), now];
+        if (taps.length < 2) return null;
+
+        const interval = (taps[taps.length - 1] - taps[0]) / (taps.length - 1);
+        return clampBpm(60000 / interval);
+    };
+}
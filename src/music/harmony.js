@@ -0,0 +1,139 @@
+import { SCALES } from './scales.js';
+
+// Harmony: the pad's chord progression over the year, built from scale-degree functions
+// One chord per 4-week block, and the graph still picks the chords:
+//   - the block's place in a 4-block phrase sets the function: tonic -> predominant -> dominant -> tonic
+//   - the busiest weekday of the coming weeks picks the degree within that function
+//   - the block's activity picks the quality: open sus chords when quiet, sevenths when busy
+// Each chord is voiced as close as possible to the previous one (voice leading)
+// Chords are semitone offsets from the key root in the pad octave, so they play in any key
+
+// Scale degrees (0 = I) by harmonic function, most stable first
+export const FUNCTIONS = {
+    tonic: [0, 5, 2],
+    predominant: [3, 1],
+    dominant: [4, 6]
+};
+
+// Function of each block in a phrase
+const PHRASE = ['tonic', 'predominant', 'dominant', 'tonic'];
+
+// Scale steps stacked on the chord root
+const QUALITIES = {
+    triad: [0, 2, 4],
+    sus2: [0, 1, 4],
+    sus4: [0, 3, 4],
+    seventh: [0, 2, 4, 6]
+};
+
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// Voicings keep their lowest note in this range (semitones from the pad root)
+const BASS_RANGE = { low: -3, high: 9 };
+// Moving off root position costs this many semitones of voice movement
+const INVERSION_COST = 2;
+
+// Scale degree -> semitone offset, continuing into the next octaves
+function degreeOffset(mode, step) {
+    return mode[step % mode.length] + 12 * Math.floor(step / mode.length);
+}
+
+function intervalAbove(mode, degree, steps) {
+    return degreeOffset(mode, degree + steps) - degreeOffset(mode, degree);
+}
+
+// Sus chords only where the suspended note sits a whole step / perfect fourth above a root with a perfect fifth
+function pickQuality(mode, degree, fn, energy) {
+    const perfectFifth = intervalAbove(mode, degree, 4) === 7;
+    if (degree === 6 || energy === 'busy') return 'seventh'; // vii is always a (half-)diminished seventh
+    if (energy === 'quiet' && perfectFifth) {
+        if (fn === 'dominant' && intervalAbove(mode, degree, 3) === 5) return 'sus4';
+        if (intervalAbove(mode, degree, 1) === 2) return 'sus2';
+    }
+    return fn === 'dominant' ? 'seventh' : 'triad';
+}
+
+// Roman numeral, e.g. 'ii7', 'Vsus4', 'vii°7'
+function chordSymbol(mode, degree, quality) {
+    const third = intervalAbove(mode, degree, 2);
+    const fifth = intervalAbove(mode, degree, 4);
+    const minor = !quality.startsWith('sus') && third === 3;
+    const numeral = minor ? ROMAN[degree].toLowerCase() : ROMAN[degree];
+    const diminished = minor && fifth === 6 ? '°' : '';
+    const suffix = quality === 'seventh' ? '7' : quality.startsWith('sus') ? quality : '';
+    return `${numeral}${diminished}${suffix}`;
+}
+
+// Every inversion of the chord, stacked close from a bass note in BASS_RANGE
+function candidateVoicings(pitchClasses) {
+    const voicings = [];
+    pitchClasses.forEach((_, inversion) => {
+        const order = [...pitchClasses.slice(inversion), ...pitchClasses.slice(0, inversion)];
+        for (let bass = order[0] - 12; bass <= BASS_RANGE.high; bass += 12) {
+            if (bass < BASS_RANGE.low) continue;
+            const voicing = [bass];
+            order.slice(1).forEach(pc => {
+                let note = pc;
+                while (note <= voicing[voicing.length - 1]) note += 12;
+                while (note - 12 > voicing[voicing.length - 1]) note -= 12;
+                voicing.push(note);
+            });
+            voicings.push({ voicing, inversion });
+        }
+    });
+    return voicings;
+}
+
+// Total distance each voice has to travel between two voicings (either may have more voices)
+function movement(from, to) {
+    const nearest = (note, chord) => Math.min(...chord.map(other => Math.abs(note - other)));
+    return to.reduce((sum, note) => sum + nearest(note, from), 0)
+        + from.reduce((sum, note) => sum + nearest(note, to), 0);
+}
+
+// Voice a chord close to the previous voicing (root position to start)
+export function voiceLead(tones, previous) {
+    const pitchClasses = tones.map(tone => ((tone % 12) + 12) % 12);
+    const cost = ({ voicing, inversion }) => (previous ? movement(previous, voicing) : 0)
+        + (inversion === 0 ? 0 : INVERSION_COST)
+        + (previous ? 0 : Math.abs(voicing[0]));
+    return candidateVoicings(pitchClasses).reduce((best, candidate) => cost(candidate) < cost(best) ? candidate : best).voicing;
+}
+
+// Snap a melody offset to the nearest chord tone (ties go up)
+export function nearestChordTone(offset, voicing) {
+    const pitchClasses = new Set(voicing.map(note => ((note % 12) + 12) % 12));
+    for (let distance = 0; distance < 12; distance++) {
+        if (pitchClasses.has((((offset + distance) % 12) + 12) % 12)) return offset + distance;
+        if (pitchClasses.has((((offset - distance) % 12) + 12) % 12)) return offset - distance;
+    }
+    return offset;
+}
+
+// Stateful progression for one playback: chords must be requested block by block, in order
+// next({ block, lastBlock, chooser, energy }) -> { degree, quality, symbol, voicing }
+//   chooser - busiest weekday index of the coming weeks (0-6)
+//   energy  - 'quiet' | 'medium' | 'busy' activity of the block
+export function createProgression(scaleName) {
+    const { harmony: mode } = SCALES[scaleName] ?? SCALES.pentatonic;
+    let previous = null;
+
+    const next = ({ block, lastBlock, chooser, energy }) => {
+        // The year always resolves home
+        const fn = block === lastBlock ? 'tonic' : PHRASE[block % PHRASE.length];
+        const candidates = FUNCTIONS[fn];
+        const degree = candidates[chooser % candidates.length];
+        const quality = pickQuality(mode, degree, fn, energy);
+        const tones = QUALITIES[quality].map(step => degreeOffset(mode, degree + step));
+
+        const voicing = voiceLead(tones, previous?.voicing);
+        previous = { degree, quality, symbol: chordSymbol(mode, degree, quality), voicing };
+        return previous;
+    };
+
+    return {
+        next,
+        // The chord currently sounding, null before the first block
+        current: () => previous
+    };
+}
@@ -0,0 +1,145 @@
+import { composeSong } from './song.js';
+import { getMelodyPitch, getChordPitches } from './scales.js';
+import { getPreset } from '../audio/presets.js';
+
+// Standard MIDI File (format 1) export of a song
+// Reads the same timeline as playback, so the file holds exactly the notes you hear
+
+const PPQ = 480;
+
+// Note lengths used by the instruments, in ticks
+const DURATIONS = {
+    '32n': PPQ / 8,
+    '8n': PPQ / 2,
+    '1n': PPQ * 4
+};
+
+// General MIDI percussion lives on channel 10 (index 9)
+const DRUM_CHANNEL = 9;
+export const DRUM_NOTES = { kick: 36, snare: 38, hihat: 42 };
+
+// Track layout: name, channel, and which part of the composition it holds
+const TRACKS = [
+    { name: 'Melody', channel: 0, voice: 'melody' },
+    { name: 'Pad', channel: 1, voice: 'pad' },
+    { name: 'Kick & Snare', channel: DRUM_CHANNEL, drums: ['kick', 'snare'] },
+    { name: 'Hi-hat', channel: DRUM_CHANNEL, drums: ['hihat'] }
+];
+
+const toVelocity = (value) => Math.max(1, Math.min(127, Math.round(value * 127)));
+
+function varLen(value) {
+    const bytes = [value & 0x7f];
+    while ((value >>= 7) > 0) {
+        bytes.unshift((value & 0x7f) | 0x80);
+    }
+    return bytes;
+}
+
+function textBytes(text) {
+    return Array.from(new TextEncoder().encode(text));
+}
+
+function metaEvent(tick, type, data) {
+    return { tick, order: 0, bytes: [0xff, type, ...varLen(data.length), ...data] };
+}
+
+// [{ tick, bytes }] -> MTrk chunk, events sorted by time (note offs first on ties)
+function trackChunk(events) {
+    const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order);
+    const body = [];
+    let lastTick = 0;
+
+    sorted.forEach(({ tick, bytes }) => {
+        body.push(...varLen(tick - lastTick), ...bytes);
+        lastTick = tick;
+    });
+    body.push(0x00, 0xff, 0x2f, 0x00); // End of track
+
+    return [
+        ...textBytes('MTrk'),
+        (body.length >>> 24) & 0xff, (body.length >>> 16) & 0xff, (body.length >>> 8) & 0xff, body.length & 0xff,
+        ...body
+    ];
+}
+
+// A channel can only hold one copy of a pitch: merge notes struck together
+// and cut a note short when the same pitch is struck again (pads overlap by design)
+function resolveOverlaps(notes) {
+    const byPitch = new Map();
+    notes.forEach(note => {
+        if (!byPitch.has(note.pitch)) byPitch.set(note.pitch, []);
+        byPitch.get(note.pitch).push(note);
+    });
+
+    return [...byPitch.values()].flatMap(group => {
+        const sorted = [...group].sort((a, b) => a.tick - b.tick || b.velocity - a.velocity);
+        const unique = sorted.filter((note, i) => i === 0 || note.tick !== sorted[i - 1].tick);
+        return unique.map((note, i) => {
+            const next = unique[i + 1];
+            return next ? { ...note, duration: Math.min(note.duration, next.tick - note.tick) } : note;
+        });
+    });
+}
+
+function addNote(events, channel, tick, pitch, duration, velocity) {
+    events.push({ tick, order: 2, bytes: [0x90 | channel, pitch, velocity] });
+    events.push({ tick: tick + duration, order: 1, bytes: [0x80 | channel, pitch, 0] });
+}
+
+// Build the .mid bytes for a song
+//   options: { seed, scale (null = seeded), groove, resolution, preset, tonality: { key, octave }, title }
+export function exportMidi(data, { seed, scale = null, groove, resolution, preset, tonality, title = 'GitMusic' }) {
+    const song = composeSong(data, { seed, scale, groove, resolution });
+    const { voices } = getPreset(preset);
+    const parts = { melody: [], pad: [], kick: [], snare: [], hihat: [] };
+    // Seconds -> ticks, swing and humanize land between grid steps
+    const toTick = (seconds) => Math.max(0, Math.round(seconds * song.bpm / 60 * PPQ));
+
+    song.steps.forEach(({ time, chord, drums, notes }) => {
+        const tick = toTick(time);
+
+        if (chord) {
+            getChordPitches(tonality, chord.voicing).forEach(pitch => {
+                parts.pad.push({ tick, pitch, duration: DURATIONS['1n'], velocity: toVelocity(1) });
+            });
+        }
+        drums.forEach(({ type, velocity, nudge }) => {
+            const duration = type === 'hihat' ? DURATIONS['32n'] : DURATIONS['8n'];
+            parts[type].push({ tick: toTick(time + nudge), pitch: DRUM_NOTES[type], duration, velocity: toVelocity(velocity) });
+        });
+        notes.forEach(({ offset, velocity, nudge }) => {
+            const pitch = getMelodyPitch(tonality, offset);
+            parts.melody.push({ tick: toTick(time + nudge), pitch, duration: DURATIONS['8n'], velocity: toVelocity(velocity) });
+        });
+    });
+
+    // Conductor track: title, tempo, 4/4
+    const microsPerQuarter = Math.round(60000000 / song.bpm);
+    const conductor = trackChunk([
+        metaEvent(0, 0x03, textBytes(title)),
+        metaEvent(0, 0x51, [(microsPerQuarter >> 16) & 0xff, (microsPerQuarter >> 8) & 0xff, microsPerQuarter & 0xff]),
+        metaEvent(0, 0x58, [4, 2, 24, 8])
+    ]);
+
+    const tracks = TRACKS.map(({ name, channel, voice, drums }) => {
+        const events = [metaEvent(0, 0x03, textBytes(name))];
+        if (voice) {
+            events.push({ tick: 0, order: 0, bytes: [0xc0 | channel, voices[voice].program ?? 0] });
+        }
+
+        const notes = voice ? parts[voice] : drums.flatMap(type => parts[type]);
+        resolveOverlaps(notes).forEach(({ tick, pitch, duration, velocity }) => addNote(events, channel, tick, pitch, duration, velocity));
+        return trackChunk(events);
+    });
+
+    const header = [
+        ...textBytes('MThd'),
+        0, 0, 0, 6,
+        0, 1, // format 1: simultaneous tracks
+        0, tracks.length + 1,
+        (PPQ >> 8) & 0xff, PPQ & 0xff
+    ];
+
+    return new Uint8Array([header, conductor, ...tracks].flat());
+}
@@ -0,0 +1,101 @@
+import { hashString } from '../utils/random.js';
+
+// Scales as semitone offsets from the root, so any scale can be played in any key
+// Each scale has 7 melody steps (one per weekday) and the 7-note mode its chords are built from
+// (see music/harmony), played an octave lower
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Flats are accepted on input and stored as their sharp equivalent
+const FLATS = { Db: 'C#', Eb: 'D#', Gb: 'F#', Ab: 'G#', Bb: 'A#', Cb: 'B', Fb: 'E' };
+
+export const DEFAULT_OCTAVE = 4;
+export const OCTAVES = [2, 3, 4, 5];
+
+export const SCALES = {
+    // Major pentatonic melody over major (Ionian) harmony
+    pentatonic: {
+        melody: [0, 2, 4, 7, 9, 12, 14],
+        harmony: [0, 2, 4, 5, 7, 9, 11]
+    },
+    // Lydian: Bright/Dreamy. Melody skips the 2nd and 7th, kept the #4 for flavor.
+    lydian: {
+        melody: [0, 4, 6, 7, 9, 12, 16],
+        harmony: [0, 2, 4, 6, 7, 9, 11]
+    },
+    // Dorian: Soulful/Jazzy. Removed the 2nd to focus on the minor 3rd and major 6th.
+    dorian: {
+        melody: [0, 3, 5, 7, 9, 10, 12],
+        harmony: [0, 2, 3, 5, 7, 9, 10]
+    },
+    // Phrygian Dom: Exotic. Removed b2 and b6 from melody to prevent harsh clashes.
+    phrygianDom: {
+        melody: [0, 4, 5, 7, 10, 12, 16],
+        harmony: [0, 1, 4, 5, 7, 8, 10]
+    },
+    // Mixolydian: Uplifting/Psychedelic (Jerry Garcia style). Major 3rd + Flat 7.
+    mixolydian: {
+        melody: [0, 4, 7, 9, 10, 12, 14],
+        harmony: [0, 2, 4, 5, 7, 9, 10]
+    },
+    // Harmonic Minor: Neoclassical/Dramatic. Spooky vibe with the raised 7th.
+    harmonicMinor: {
+        melody: [0, 3, 7, 8, 11, 12, 15],
+        harmony: [0, 2, 3, 5, 7, 8, 11]
+    },
+    // Hirajoshi: Japanese Pentatonic. Dark, ambient, and introspective (Phrygian harmony).
+    hirajoshi: {
+        melody: [0, 1, 5, 7, 8, 12, 13],
+        harmony: [0, 1, 3, 5, 7, 8, 10]
+    }
+};
+
+export const SCALE_NAMES = Object.keys(SCALES);
+
+// 'f#', 'Gb', 'bb' -> canonical sharp name ('F#', 'F#', 'A#'), or undefined
+export function parseKey(value) {
+    if (typeof value !== 'string') return undefined;
+    const match = /^([a-g])(#|b)?$/i.exec(value.trim());
+    if (!match) return undefined;
+
+    const name = match[1].toUpperCase() + (match[2] ?? '');
+    return FLATS[name] ?? (NOTE_NAMES.includes(name) ? name : undefined);
+}
+
+export function isOctave(value) {
+    return OCTAVES.includes(value);
+}
+
+// Every user gets the same key every time, spread evenly over the 12 keys
+export function getSignatureKey(username) {
+    return NOTE_NAMES[hashString((username ?? '').toLowerCase()) % NOTE_NAMES.length];
+}
+
+// MIDI note number -> 'F#4'
+export function midiToNote(midi) {
+    return `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+// MIDI number of the key's root in an octave (C4 = 60)
+export function rootMidi(key, octave) {
+    return (octave + 1) * 12 + NOTE_NAMES.indexOf(key);
+}
+
+// Melody note for a day: its weekday row, shifted up the scale by its level
+// -> semitones above the key root, e.g. ('dorian', 0, 2) -> 5
+export function getMelodyOffset(scaleName, dayIndex, level) {
+    const scale = SCALES[scaleName] ?? SCALES.pentatonic;
+    return scale.melody[(dayIndex + level) % scale.melody.length];
+}
+
+// Semitones above the key root -> MIDI number of a melody note
+// e.g. ({ key: 'D', octave: 4 }, 5) -> 67 (G4)
+export function getMelodyPitch({ key, octave = DEFAULT_OCTAVE }, offset) {
+    return rootMidi(key, octave) + offset;
+}
+
+// Semitones above the key root -> MIDI numbers of a pad chord, an octave below the melody
+export function getChordPitches({ key, octave = DEFAULT_OCTAVE }, voicing) {
+    const root = rootMidi(key, octave - 1);
+    return voicing.map(offset => root + offset);
+}
@@ -0,0 +1,134 @@
+import { createComposer, getStepSeconds, VELOCITIES } from './composer.js';
+import { DEFAULT_GROOVE, createHumanizer, getSwingDelay } from './groove.js';
+import { getMelodyOffset } from './scales.js';
+import { nearestChordTone } from './harmony.js';
+
+// The whole song as plain data: every chord, drum hit and melody note with its time,
+// and the grid cells each step lights up
+// Pure and free of Tone.js (runs in Node) and serializable (survives JSON), so the live
+// sequencer, the grid highlighting and every exporter read the same events
+
+// Step resolution
+//   weekly - one eighth-note step per week column, its active days sound together (the original mode)
+//   daily  - one step per day, walking each column top to bottom as a single melody line:
+//            empty days rest, the chord is struck again and the drums hit on the first day of each week
+export const RESOLUTIONS = ['weekly', 'daily'];
+export const DAY_STEP_LENGTHS = ['8n', '16n', '32n'];
+export const DEFAULT_RESOLUTION = { mode: 'weekly', dayStep: '16n' };
+
+export function isResolution(value) {
+    return RESOLUTIONS.includes(value);
+}
+
+export function isDayStepLength(value) {
+    return DAY_STEP_LENGTHS.includes(value);
+}
+
+// Note length of one step and steps per week column
+function stepLayout({ mode, dayStep }) {
+    return mode === 'daily' ? { stepLength: dayStep, stepsPerWeek: 7 } : { stepLength: '8n', stepsPerWeek: 1 };
+}
+
+// Seconds one week column lasts
+export function getWeekSeconds(bpm, resolution = DEFAULT_RESOLUTION) {
+    const { stepLength, stepsPerWeek } = stepLayout(resolution);
+    return getStepSeconds(bpm, stepLength) * stepsPerWeek;
+}
+
+// One week of the composer as steps at the chosen resolution -> [{ col, chord, drums, notes, rows }]
+// Daily steps reuse the weekly chords and drums so both modes share the seeded harmony
+function weekSteps(week, col, { chord, drums, notes }, sounding, scale, mode) {
+    if (mode !== 'daily') {
+        return [{ col, chord, drums, notes, rows: notes.map(note => note.index) }];
+    }
+    return week.days.map((day, index) => {
+        const offset = getMelodyOffset(scale, index, day.level);
+        // The first day of the week is the strong beat
+        const pitch = index === 0 && sounding ? nearestChordTone(offset, sounding.voicing) : offset;
+        return {
+            col,
+            chord: index === 0 ? sounding : null,
+            drums: index === 0 ? drums : [],
+            notes: day.level > 0 ? [{ index, level: day.level, offset: pitch }] : [],
+            rows: [index]
+        };
+    });
+}
+
+// Compose a song from a contribution graph
+//   options: { seed, scale (null = seeded), groove (tempo, swing, humanize, see groove),
+//              resolution: { mode, dayStep } (see RESOLUTIONS) }
+// -> {
+//     scale, bpm,             - bpm is the groove's, or the adaptive one
+//     stepLength, stepsPerWeek - note length of a step ('8n' for weeks) and steps per week column
+//     stepSeconds, duration - seconds per step and for the whole song
+//     steps: [{
+//         index, time,        - step number and start in seconds, swing included
+//         col,                - week column the step belongs to
+//         swing,              - seconds the step lands after the beat grid
+//         chord,              - { degree, quality, symbol, voicing } or null, see harmony
+//         drums,              - [{ type, velocity, nudge }]
+//         notes,              - [{ index, level, offset, velocity, nudge }]
+//         highlight           - { col, rows } grid cells lit while the step plays (the day itself in daily mode)
+//     }]
+// }
+// nudge: humanized seconds off the step time
+export function composeSong(data, { seed, scale = null, groove = DEFAULT_GROOVE, resolution = DEFAULT_RESOLUTION } = {}) {
+    const composer = createComposer(data, seed, { scale });
+    const bpm = groove.bpm ?? composer.bpm;
+    const { stepLength, stepsPerWeek } = stepLayout(resolution);
+    const stepSeconds = getStepSeconds(bpm, stepLength);
+    const humanizer = createHumanizer(seed, groove.humanize);
+
+    let sounding = null;
+    const composed = data.weeks.flatMap((week, col) => {
+        const step = composer.step(col);
+        sounding = step.chord ?? sounding;
+        return weekSteps(week, col, step, sounding, composer.scale, resolution.mode);
+    });
+
+    const steps = composed.map(({ col, chord, drums, notes, rows }, index) => {
+        // Daily weeks have an odd number of steps: swing counts from each week's first day,
+        // so the day carrying the chord and drums is never pushed late
+        const beat = stepsPerWeek > 1 ? index % stepsPerWeek : index;
+        const swing = getSwingDelay(beat, stepSeconds, groove.swing);
+        const time = index * stepSeconds + swing;
+        return {
+            index,
+            time,
+            col,
+            swing,
+            chord,
+            drums: drums.map(drum => ({
+                ...drum,
+                velocity: humanizer.velocity(drum.velocity),
+                nudge: humanizer.nudge(time)
+            })),
+            notes: notes.map(note => ({
+                ...note,
+                velocity: humanizer.velocity(VELOCITIES[note.level] || 0.5),
+                nudge: humanizer.nudge(time)
+            })),
+            highlight: { col, rows }
+        };
+    });
+
+    return {
+        scale: composer.scale,
+        bpm,
+        stepLength,
+        stepsPerWeek,
+        stepSeconds,
+        duration: steps.length * stepSeconds,
+        steps
+    };
+}
+
+// The chord sounding at a step: struck on it, or carried over from earlier in the block
+// Used to bring the pad back when playback resumes or seeks mid-block
+export function getSoundingChord(timeline, index) {
+    for (let i = index; i >= 0; i--) {
+        if (timeline.steps[i]?.chord) return timeline.steps[i].chord;
+    }
+    return null;
+}
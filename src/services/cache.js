@@ -0,0 +1,60 @@
+// Persistent IndexedDB cache for fetched contribution grids
+// Falls back to doing nothing where IndexedDB isn't available (private mode, SSR)
+
+const DB_NAME = 'gitmusic';
+const STORE = 'contributions';
+const DB_VERSION = 1;
+
+// Fresh entries are served without touching the network
+export const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+let dbPromise = null;
+
+function openDb() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null); // Cache is best-effort
+        });
+    }
+    return dbPromise;
+}
+
+// Run one request against the store, resolving to its result (or null on failure)
+async function withStore(mode, run) {
+    const db = await openDb();
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+        try {
+            const request = run(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => resolve(null);
+        } catch {
+            resolve(null);
+        }
+    });
+}
+
+// One entry per provider, user, range and host
+// e.g. "gitlab:octocat:2023:::gitlab.example.com" or "github:octocat::::" (trailing year)
+export function getCacheKey(platform, username, { year, from, to, host } = {}) {
+    return [platform, username.toLowerCase(), year, from, to, host].map(part => part ?? '').join(':');
+}
+
+// -> { data, savedAt, fresh } or null
+export async function readCache(key) {
+    const entry = await withStore('readonly', store => store.get(key));
+    if (!entry) return null;
+    return { ...entry, fresh: Date.now() - entry.savedAt < CACHE_TTL_MS };
+}
+
+export async function writeCache(key, data) {
+    await withStore('readwrite', store => store.put({ key, data, savedAt: Date.now() }));
+}
@@ -1,183 +1,90 @@
-import axios from 'axios';
-import { format, startOfWeek, addDays, subWeeks } from 'date-fns';
-
-const GITHUB_API = 'https://github-contributions-api.jogruber.de/v4/';
-const GITLAB_API = '/api/gitlab'; // Vercel serverless proxy
-
-// Generate empty 52-week grid (for users with 0 contributions)
-function generateEmptyGrid() {
-    const today = new Date();
-    const currentWeekStart = startOfWeek(today, { weekStartsOn: 0 });
-    const weeks = [];
-
-    for (let w = 51; w >= 0; w--) {
-        const weekStart = subWeeks(currentWeekStart, w);
-        const days = [];
-
-        for (let d = 0; d < 7; d++) {
-            const dateObj = addDays(weekStart, d);
-            days.push({
-                date: format(dateObj, 'yyyy-MM-dd'),
-                level: 0,
-                count: 0
-            });
-        }
-        weeks.push({ days });
-    }
-
-    return { weeks };
-}
-
-// Fetch from GitHub
-export async function fetchGitHubContributions(username) {
+import { resolveRange } from './grid';
+import { applyLevels } from './levels';
+import { getCacheKey, readCache, writeCache } from './cache';
+import { getProvider, getAutoDetectProviders } from './providers';
+
+export { resolveRange, describeRange } from './grid';
+export { getProvider, listProviders, registerProvider } from './providers';
+
+// Unified fetch function - looks the provider up in the registry
+// options: { year, from, to } to pick the period (default: trailing 52 weeks)
+//          { host } for self-hosted instances (GitLab, Gitea)
+//          { levels } level strategy (see levels.js)
+//          { refresh } skip the cache and always hit the network
+// Results come from the IndexedDB cache while fresh; offline, stale entries are served instead
+// of an error. `cache` is { savedAt, stale } when the data came from the cache, else null
+export async function fetchContributions(username, platform = 'github', options = {}) {
     if (!username) {
         return { data: null, error: null };
     }
 
-    try {
-        const response = await axios.get(`${GITHUB_API}${username}`);
-        // User exists but has no contributions - return empty grid
-        if (!response.data.contributions || response.data.contributions.length === 0) {
-            return { data: generateEmptyGrid(), error: null };
-        }
-        const normalized = normalizeGitHubData(response.data.contributions);
-        if (!normalized) {
-            return { data: null, error: 'Failed to parse GitHub data' };
-        }
-        return { data: normalized, error: null };
-    } catch (error) {
-        const message = error.response?.status === 404
-            ? `User "${username}" not found on GitHub`
-            : 'Failed to fetch GitHub data';
-        return { data: null, error: message };
+    const provider = getProvider(platform);
+    if (!provider) {
+        return { data: null, error: `Unknown platform "${platform}"` };
     }
-}
 
-// Fetch from GitLab (via proxy to avoid CORS)
-export async function fetchGitLabContributions(username) {
-    if (!username) {
-        return { data: null, error: null };
+    const range = resolveRange(options);
+    if (!range) {
+        return { data: null, error: 'Invalid date range' };
     }
 
-    try {
-        const response = await axios.get(`${GITLAB_API}?username=${encodeURIComponent(username)}`);
-
-        // Check if proxy returned an error
-        if (response.data && response.data.error) {
-            return { data: null, error: response.data.error };
-        }
-
-        // User exists but has no contributions - return empty grid
-        if (!response.data || Object.keys(response.data).length === 0) {
-            return { data: generateEmptyGrid(), error: null };
-        }
+    // Levels aren't part of the key: the cache holds raw counts
+    const cacheKey = getCacheKey(provider.id, username, options);
+    const cached = await readCache(cacheKey);
+    if (cached?.fresh && !options.refresh) {
+        return { data: applyLevels(cached.data, options.levels), error: null, cache: { savedAt: cached.savedAt, stale: false } };
+    }
 
-        // Normalize and return
-        const normalized = normalizeGitLabData(response.data);
+    try {
+        const hasRange = Boolean(options.year || options.from || options.to);
+        const raw = await provider.fetch(username, { ...options, range, hasRange });
+        const normalized = provider.normalize(raw, range);
         if (!normalized) {
-            return { data: null, error: 'Failed to parse GitLab data' };
+            return { data: null, error: `Failed to parse ${provider.name} data` };
         }
-        return { data: normalized, error: null };
+        await writeCache(cacheKey, normalized);
+        return { data: applyLevels(normalized, options.levels), error: null, cache: null };
     } catch (error) {
-        let message = 'Failed to fetch GitLab data';
-        if (error.response?.data?.error) {
-            message = error.response.data.error;
-        } else if (error.response?.status === 404) {
-            message = 'API endpoint not found - deploy to Vercel first';
-        } else if (error.message) {
-            message = error.message;
+        // Offline, rate limited or upstream down: stale data beats no data
+        const status = error.response?.status;
+        const isUnreachable = error.isAxiosError && (!error.response || status === 429 || status >= 500);
+        if (cached && isUnreachable) {
+            return { data: applyLevels(cached.data, options.levels), error: null, cache: { savedAt: cached.savedAt, stale: true } };
         }
-        return { data: null, error: message };
+        return { data: null, error: provider.mapError(error, username, options) };
     }
 }
 
-// Unified fetch function
-export async function fetchContributions(username, platform = 'github') {
-    if (platform === 'gitlab') {
-        return fetchGitLabContributions(username);
-    }
-    return fetchGitHubContributions(username);
+// Total contributions in a normalized grid
+export function countContributions(data) {
+    return data.weeks.reduce((acc, w) =>
+        acc + w.days.reduce((da, d) => da + d.count, 0), 0);
 }
 
-// Normalize GitHub data (has level included)
-function normalizeGitHubData(flatContributions) {
-    if (!Array.isArray(flatContributions)) return null;
-
-    const contributionMap = new Map();
-    flatContributions.forEach(item => {
-        contributionMap.set(item.date, item);
-    });
-
-    const today = new Date();
-    const currentWeekStart = startOfWeek(today, { weekStartsOn: 0 });
-    const weeks = [];
-
-    for (let w = 51; w >= 0; w--) {
-        const weekStart = subWeeks(currentWeekStart, w);
-        const days = [];
-
-        for (let d = 0; d < 7; d++) {
-            const dateObj = addDays(weekStart, d);
-            const dateStr = format(dateObj, 'yyyy-MM-dd');
-            const data = contributionMap.get(dateStr);
-
-            days.push({
-                date: dateStr,
-                level: data ? data.level : 0,
-                count: data ? data.count : 0
-            });
+// AUTO DETECT: fetch every auto-detect provider and pick the most active one
+export async function detectContributions(username, options = {}) {
+    const providers = getAutoDetectProviders();
+    const results = await Promise.all(
+        providers.map(provider => fetchContributions(username, provider.id, options))
+    );
+
+    let best = null;
+    results.forEach((result, i) => {
+        if (!result.data || result.error) return;
+        const count = countContributions(result.data);
+        // Earlier providers win ties (GitHub first)
+        if (!best || count > best.count) {
+            best = { ...result, platform: providers[i].id, count };
         }
-        weeks.push({ days });
-    }
-
-    return { weeks };
-}
-
-// Normalize GitLab data (only has count, need to calculate level)
-function normalizeGitLabData(calendarData) {
-    if (!calendarData || typeof calendarData !== 'object') return null;
-
-    // GitLab format: { "2024-01-01": 5, "2024-01-02": 3, ... }
-    const contributionMap = new Map();
-
-    // Find max for level calculation
-    const counts = Object.values(calendarData);
-    const maxCount = Math.max(...counts, 1);
-
-    Object.entries(calendarData).forEach(([date, count]) => {
-        // Calculate level (0-4) based on count relative to max
-        let level = 0;
-        if (count > 0) {
-            const ratio = count / maxCount;
-            if (ratio > 0.75) level = 4;
-            else if (ratio > 0.5) level = 3;
-            else if (ratio > 0.25) level = 2;
-            else level = 1;
-        }
-        contributionMap.set(date, { count, level });
     });
 
-    const today = new Date();
-    const currentWeekStart = startOfWeek(today, { weekStartsOn: 0 });
-    const weeks = [];
-
-    for (let w = 51; w >= 0; w--) {
-        const weekStart = subWeeks(currentWeekStart, w);
-        const days = [];
-
-        for (let d = 0; d < 7; d++) {
-            const dateObj = addDays(weekStart, d);
-            const dateStr = format(dateObj, 'yyyy-MM-dd');
-            const data = contributionMap.get(dateStr);
-
-            days.push({
-                date: dateStr,
-                level: data ? data.level : 0,
-                count: data ? data.count : 0
-            });
-        }
-        weeks.push({ days });
+    if (!best) {
+        const names = providers.map(p => p.name);
+        const list = names.length > 1
+            ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`
+            : names[0];
+        return { data: null, error: `User "${username}" not found on ${list}`, platform: providers[0]?.id };
     }
 
-    return { weeks };
+    return { data: best.data, error: null, platform: best.platform, cache: best.cache };
 }
@@ -0,0 +1,84 @@
+import { format, startOfWeek, endOfYear, addDays, addWeeks, subWeeks, parseISO, isValid, isAfter, min, max } from 'date-fns';
+
+// Shared grid helpers: every provider normalizes into { weeks: [{ days }], range }
+//
+// Day model:
+//   { date: 'yyyy-MM-dd', count, level }               - always present
+//   breakdown: { commits, pullRequests, issues, reviews } - when the source knows (GitHub proxy)
+//   sources: { github: 3, gitlab: 2 }                   - merged graphs only
+
+// Longest range we render (~5 years) to keep the grid and the song manageable
+const MAX_WEEKS = 261;
+
+// Resolve { year, from, to } into the first and last day to show
+// Default: trailing 52 weeks ending this week
+export function resolveRange({ year, from, to } = {}) {
+    const today = new Date();
+    let start;
+    let end;
+
+    if (year) {
+        start = new Date(year, 0, 1);
+        end = min([endOfYear(start), today]);
+    } else {
+        end = to ? parseISO(to) : today;
+        start = subWeeks(startOfWeek(end, { weekStartsOn: 0 }), 51);
+    }
+    if (from) start = parseISO(from);
+    if (to) end = parseISO(to);
+
+    if (!isValid(start) || !isValid(end) || isAfter(start, end)) return null;
+
+    // Clamp very long ranges to the most recent MAX_WEEKS
+    start = max([start, subWeeks(startOfWeek(end, { weekStartsOn: 0 }), MAX_WEEKS - 1)]);
+
+    return { start, end };
+}
+
+// Human readable label for a range selection ('2023', '2024-03-01 → 2024-09-30', or '')
+export function describeRange({ year, from, to } = {}) {
+    if (from || to) return `${from ?? '…'} → ${to ?? 'today'}`;
+    if (year) return String(year);
+    return '';
+}
+
+// Build the week grid for a range (oldest first), filling counts from the map
+// Days outside the range (partial first/last week) stay empty
+export function buildWeeks(contributionMap, range) {
+    const firstDay = format(range.start, 'yyyy-MM-dd');
+    const lastDay = format(range.end, 'yyyy-MM-dd');
+    const lastWeekStart = startOfWeek(range.end, { weekStartsOn: 0 });
+    const weeks = [];
+
+    for (let weekStart = startOfWeek(range.start, { weekStartsOn: 0 }); !isAfter(weekStart, lastWeekStart); weekStart = addWeeks(weekStart, 1)) {
+        const days = [];
+
+        for (let d = 0; d < 7; d++) {
+            const dateStr = format(addDays(weekStart, d), 'yyyy-MM-dd');
+            const inRange = dateStr >= firstDay && dateStr <= lastDay;
+            // Extra per-day fields (e.g. per-source counts) are carried over as-is
+            const { level = 0, count = 0, ...extra } = (inRange && contributionMap.get(dateStr)) || {};
+
+            days.push({
+                ...extra,
+                date: dateStr,
+                level,
+                count
+            });
+        }
+        weeks.push({ days });
+    }
+
+    return { weeks, range: { from: firstDay, to: lastDay } };
+}
+
+// Generate empty grid (for users with 0 contributions)
+export function generateEmptyGrid(range) {
+    return buildWeeks(new Map(), range);
+}
+
+// Turn { 'yyyy-MM-dd': count } into a contribution map
+// Levels are filled in afterwards by applyLevels (see levels.js)
+export function countsToContributionMap(countsByDate) {
+    return new Map(Object.entries(countsByDate).map(([date, count]) => [date, { count }]));
+}
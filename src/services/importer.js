@@ -0,0 +1,107 @@
+import { parseISO, isValid, format } from 'date-fns';
+import { resolveRange, buildWeeks, countsToContributionMap } from './grid';
+import { applyLevels } from './levels';
+
+// Offline import of local history (no network involved)
+// Accepted formats:
+//   git log --date=short --format=%ad  -> one yyyy-MM-dd per commit
+//   CSV                                -> date,count per line (header optional)
+//   JSON                               -> [{ date, count }], { contributions: [...] } or { "yyyy-MM-dd": count }
+
+export const LOCAL_PLATFORM = 'local';
+
+// Bigger files are almost certainly not what we expect
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})/;
+
+const isDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value) && isValid(parseISO(value.slice(0, 10)));
+
+function addCount(countsByDate, date, count) {
+    const day = date.slice(0, 10);
+    countsByDate[day] = (countsByDate[day] || 0) + count;
+}
+
+function parseJson(text) {
+    const json = JSON.parse(text);
+    const entries = Array.isArray(json) ? json : json.contributions;
+    const countsByDate = {};
+
+    if (Array.isArray(entries)) {
+        entries.forEach(entry => {
+            const count = Number(entry?.count);
+            if (isDate(entry?.date) && Number.isFinite(count) && count > 0) {
+                addCount(countsByDate, entry.date, count);
+            }
+        });
+    } else if (json && typeof json === 'object') {
+        Object.entries(json).forEach(([date, value]) => {
+            const count = Number(value);
+            if (isDate(date) && Number.isFinite(count) && count > 0) {
+                addCount(countsByDate, date, count);
+            }
+        });
+    }
+    return countsByDate;
+}
+
+// CSV rows and git log lines, mixed freely: "2024-03-01,4" counts 4, "2024-03-01" counts 1
+function parseLines(text) {
+    const countsByDate = {};
+
+    text.split(/\r?\n/).forEach(line => {
+        const [first, second] = line.trim().split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, ''));
+        if (!isDate(first)) return; // header, blank or unrelated line
+
+        const count = second === undefined || second === '' ? 1 : Number(second);
+        if (Number.isFinite(count) && count > 0) {
+            addCount(countsByDate, first, count);
+        }
+    });
+    return countsByDate;
+}
+
+// Text -> { 'yyyy-MM-dd': count }
+export function parseContributionText(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        return parseJson(trimmed);
+    }
+    return parseLines(trimmed);
+}
+
+// Build the same { weeks: [{ days }] } grid the network providers produce
+// Without a year/from/to, the range spans the imported dates
+export function importContributions(text, options = {}) {
+    let countsByDate;
+    try {
+        countsByDate = parseContributionText(text);
+    } catch {
+        return { data: null, error: 'Could not parse file (expected git log, CSV or JSON)' };
+    }
+
+    const dates = Object.keys(countsByDate).sort();
+    if (dates.length === 0) {
+        return { data: null, error: 'No dated contributions found in file' };
+    }
+
+    const hasRange = Boolean(options.year || options.from || options.to);
+    const range = resolveRange(hasRange ? options : {
+        from: dates[0],
+        to: dates[dates.length - 1] < format(new Date(), 'yyyy-MM-dd') ? dates[dates.length - 1] : undefined
+    });
+    if (!range) {
+        return { data: null, error: 'Invalid date range' };
+    }
+
+    const grid = buildWeeks(countsToContributionMap(countsByDate), range);
+    return { data: applyLevels(grid, options.levels), error: null };
+}
+
+// Read a dropped/picked File and import it
+export async function importContributionFile(file, options = {}) {
+    if (file.size > MAX_FILE_SIZE) {
+        return { data: null, error: 'File is too large (max 10 MB)' };
+    }
+    return importContributions(await file.text(), options);
+}
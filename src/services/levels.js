@@ -0,0 +1,81 @@
+// Contribution levels (0-4) from daily counts
+// Every provider goes through here so the same activity sounds the same regardless of source
+
+// Minimum count for levels 1-4 with the 'fixed' strategy
+const FIXED_THRESHOLDS = [1, 3, 6, 10];
+
+// Value at percentile p (0-1) of a sorted list, interpolated between neighbours
+const percentile = (sorted, p) => {
+    const index = p * (sorted.length - 1);
+    const lower = Math.floor(index);
+    const upper = Math.min(sorted.length - 1, lower + 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+// Each strategy takes every day's count and returns count -> level
+export const LEVEL_STRATEGIES = {
+    // Like GitHub: quartiles of the non-empty days, the busiest day always reaches level 4
+    quartiles: (counts) => {
+        const sorted = counts.filter(c => c > 0).sort((a, b) => a - b);
+        if (sorted.length === 0) return () => 0;
+        const [q1, q2, q3] = [0.25, 0.5, 0.75].map(p => percentile(sorted, p));
+        const maxCount = sorted[sorted.length - 1];
+
+        return (count) => {
+            if (count <= 0) return 0;
+            if (count >= maxCount) return 4;
+            if (count <= q1) return 1;
+            if (count <= q2) return 2;
+            if (count <= q3) return 3;
+            return 4;
+        };
+    },
+
+    // Ratio to the busiest day (one huge day flattens everything else)
+    ratio: (counts) => {
+        const maxCount = Math.max(...counts, 1);
+
+        return (count) => {
+            if (count <= 0) return 0;
+            const ratio = count / maxCount;
+            if (ratio > 0.75) return 4;
+            if (ratio > 0.5) return 3;
+            if (ratio > 0.25) return 2;
+            return 1;
+        };
+    },
+
+    // Log scale relative to the busiest day (softens outliers)
+    log: (counts) => {
+        const maxLog = Math.log1p(Math.max(...counts, 1));
+
+        return (count) => {
+            if (count <= 0) return 0;
+            return Math.max(1, Math.ceil(4 * Math.log1p(count) / maxLog));
+        };
+    },
+
+    // Absolute thresholds, independent of the rest of the year
+    fixed: () => (count) => FIXED_THRESHOLDS.filter(t => count >= t).length
+};
+
+export const DEFAULT_LEVEL_STRATEGY = 'quartiles';
+
+export function isLevelStrategy(name) {
+    return Object.hasOwn(LEVEL_STRATEGIES, name);
+}
+
+// Recompute every day's level in a normalized grid
+export function applyLevels(data, strategy = DEFAULT_LEVEL_STRATEGY) {
+    const createScale = LEVEL_STRATEGIES[strategy] ?? LEVEL_STRATEGIES[DEFAULT_LEVEL_STRATEGY];
+    const counts = data.weeks.flatMap(w => w.days.map(d => d.count));
+    const toLevel = createScale(counts);
+
+    return {
+        ...data,
+        weeks: data.weeks.map(week => ({
+            ...week,
+            days: week.days.map(day => ({ ...day, level: toLevel(day.count) }))
+        }))
+    };
+}
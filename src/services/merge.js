@@ -0,0 +1,72 @@
+import { resolveRange, buildWeeks, countsToContributionMap } from './grid';
+import { applyLevels } from './levels';
+import { getAutoDetectProviders } from './providers';
+import { fetchContributions } from './contributions';
+
+// `-p all` / `--merge`: one graph summing every platform
+export const MERGE_PLATFORM = 'all';
+
+// Sum per-day counts across grids and recompute levels on the merged totals
+// Each day keeps a per-source breakdown: { sources: { github: 3, gitlab: 2 } }
+// Activity breakdowns (commits, PRs, ...) are summed where sources provide them
+export function mergeContributions(results, range, levelStrategy) {
+    const countsByDate = {};
+    const sourcesByDate = {};
+    const breakdownByDate = {};
+
+    results.forEach(({ platform, data }) => {
+        data.weeks.forEach(week => week.days.forEach(day => {
+            if (day.count === 0) return;
+            countsByDate[day.date] = (countsByDate[day.date] || 0) + day.count;
+            sourcesByDate[day.date] = { ...sourcesByDate[day.date], [platform]: day.count };
+
+            if (day.breakdown) {
+                const merged = { ...breakdownByDate[day.date] };
+                Object.entries(day.breakdown).forEach(([kind, count]) => {
+                    merged[kind] = (merged[kind] || 0) + count;
+                });
+                breakdownByDate[day.date] = merged;
+            }
+        }));
+    });
+
+    const contributionMap = countsToContributionMap(countsByDate);
+    contributionMap.forEach((entry, date) => {
+        entry.sources = sourcesByDate[date];
+        if (breakdownByDate[date]) entry.breakdown = breakdownByDate[date];
+    });
+
+    return {
+        ...applyLevels(buildWeeks(contributionMap, range), levelStrategy),
+        sources: results.map(r => r.platform)
+    };
+}
+
+// Fetch every auto-detect platform and merge the ones where the user exists
+// A --host only applies to GitLab, the others use their public instance
+export async function fetchMergedContributions(username, options = {}) {
+    const range = resolveRange(options);
+    if (!range) {
+        return { data: null, error: 'Invalid date range' };
+    }
+
+    const { host, ...publicOptions } = options;
+    const providers = getAutoDetectProviders();
+    const results = await Promise.all(providers.map(async provider => ({
+        platform: provider.id,
+        ...(await fetchContributions(username, provider.id, provider.id === 'gitlab' ? { ...publicOptions, host } : publicOptions))
+    })));
+
+    const found = results.filter(r => r.data && !r.error);
+    if (found.length === 0) {
+        return { data: null, error: `User "${username}" not found on any platform` };
+    }
+
+    // Report the oldest cached source, if any came from the cache
+    const cache = found
+        .map(r => r.cache)
+        .filter(Boolean)
+        .sort((a, b) => a.savedAt - b.savedAt)[0] ?? null;
+
+    return { data: mergeContributions(found, range, options.levels), error: null, cache };
+}
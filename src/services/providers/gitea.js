@@ -0,0 +1,59 @@
+import axios from 'axios';
+import { format } from 'date-fns';
+import { buildWeeks, generateEmptyGrid, countsToContributionMap } from '../grid';
+import { mapProxyError } from './proxyErrors';
+
+const GITEA_API = '/api/gitea'; // Vercel serverless proxy
+
+// Gitea-compatible forges (Codeberg, Forgejo, self-hosted Gitea) share the heatmap API:
+// /api/v1/users/:username/heatmap -> [{ timestamp, contributions }, ...]
+// Like GitLab, the heatmap only covers the last year
+// `host` is the default instance; self-hosted ones are passed as options.host
+export function createGiteaProvider({ id, name, host, aliases = [], autoDetect = false }) {
+    return {
+        id,
+        name,
+        aliases,
+        autoDetect,
+
+        async fetch(username, options) {
+            const params = new URLSearchParams({ username, host: options.host ?? host });
+            const response = await axios.get(`${GITEA_API}?${params}`);
+            return response.data;
+        },
+
+        // Heatmap entries are grouped by timestamp, sum them per day
+        normalize(raw, range) {
+            if (!Array.isArray(raw)) return null;
+            if (raw.length === 0) return generateEmptyGrid(range);
+
+            const countsByDate = {};
+            raw.forEach(({ timestamp, contributions }) => {
+                const date = format(new Date(timestamp * 1000), 'yyyy-MM-dd');
+                countsByDate[date] = (countsByDate[date] || 0) + contributions;
+            });
+
+            return buildWeeks(countsToContributionMap(countsByDate), range);
+        },
+
+        mapError(error, username, options = {}) {
+            return mapProxyError(error, { name, username, host: options.host });
+        }
+    };
+}
+
+export const codebergProvider = createGiteaProvider({
+    id: 'codeberg',
+    name: 'Codeberg',
+    host: 'codeberg.org',
+    aliases: ['cb'],
+    autoDetect: true
+});
+
+// Generic Gitea/Forgejo, meant for self-hosted instances: -p gitea --host git.example.com
+export const giteaProvider = createGiteaProvider({
+    id: 'gitea',
+    name: 'Gitea',
+    host: 'gitea.com',
+    aliases: ['forgejo']
+});
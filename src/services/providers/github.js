@@ -0,0 +1,98 @@
+import axios from 'axios';
+import { eachYearOfInterval, format } from 'date-fns';
+import { buildWeeks, generateEmptyGrid, countsToContributionMap } from '../grid';
+import { mapProxyError } from './proxyErrors';
+
+const GITHUB_API = 'https://github-contributions-api.jogruber.de/v4/';
+const GITHUB_PROXY = '/api/github'; // Token-backed GraphQL route with per-day breakdown
+
+// Flipped off once the route turns out to be missing or has no token,
+// so we don't ask it again for every search
+let proxyAvailable = true;
+
+// Proxy errors worth showing as-is, anything else falls back to the public API
+const FINAL_PROXY_ERRORS = ['USER_NOT_FOUND', 'INVALID_USERNAME'];
+
+async function fetchFromProxy(username, range) {
+    const params = new URLSearchParams({
+        username,
+        from: format(range.start, 'yyyy-MM-dd'),
+        to: format(range.end, 'yyyy-MM-dd')
+    });
+
+    try {
+        const response = await axios.get(`${GITHUB_PROXY}?${params}`);
+        // Static hosts answer unknown routes with index.html
+        if (!Array.isArray(response.data?.contributions)) {
+            proxyAvailable = false;
+            return null;
+        }
+        return { ...response.data, detailed: true };
+    } catch (error) {
+        const code = error.response?.data?.error?.code;
+        if (FINAL_PROXY_ERRORS.includes(code)) throw error;
+        if (code === 'NOT_CONFIGURED' || (error.response?.status === 404 && !code)) {
+            proxyAvailable = false;
+        }
+        return null;
+    }
+}
+
+export const githubProvider = {
+    id: 'github',
+    name: 'GitHub',
+    aliases: ['gh'],
+    autoDetect: true,
+
+    // Prefer the GraphQL proxy (commits/PRs/issues/reviews per day), else the public API
+    // The public API serves whole calendar years (?y=2023), so ask for every year the range touches
+    async fetch(username, { range, hasRange }) {
+        if (proxyAvailable) {
+            const detailed = await fetchFromProxy(username, range);
+            if (detailed) return detailed;
+        }
+
+        const params = new URLSearchParams();
+        if (hasRange) {
+            eachYearOfInterval(range).forEach(date => params.append('y', date.getFullYear()));
+        }
+        const query = params.toString();
+
+        const response = await axios.get(`${GITHUB_API}${username}${query ? `?${query}` : ''}`);
+        return response.data;
+    },
+
+    // GitHub data has level included, but we recompute it like every other provider
+    // Proxy data also carries the per-day breakdown
+    normalize(raw, range) {
+        // User exists but has no contributions - return empty grid
+        if (!raw.contributions || raw.contributions.length === 0) {
+            return generateEmptyGrid(range);
+        }
+        if (!Array.isArray(raw.contributions)) return null;
+
+        if (raw.detailed) {
+            const contributionMap = new Map();
+            raw.contributions.forEach(({ date, count, commits, pullRequests, issues, reviews }) => {
+                contributionMap.set(date, { count, breakdown: { commits, pullRequests, issues, reviews } });
+            });
+            return buildWeeks(contributionMap, range);
+        }
+
+        const countsByDate = {};
+        raw.contributions.forEach(item => {
+            countsByDate[item.date] = item.count;
+        });
+
+        return buildWeeks(countsToContributionMap(countsByDate), range);
+    },
+
+    mapError(error, username) {
+        if (error.response?.data?.error?.code) {
+            return mapProxyError(error, { name: 'GitHub', username });
+        }
+        return error.response?.status === 404
+            ? `User "${username}" not found on GitHub`
+            : 'Failed to fetch GitHub data';
+    }
+};
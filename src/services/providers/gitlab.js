@@ -0,0 +1,37 @@
+import axios from 'axios';
+import { buildWeeks, generateEmptyGrid, countsToContributionMap } from '../grid';
+import { mapProxyError } from './proxyErrors';
+
+const GITLAB_API = '/api/gitlab'; // Vercel serverless proxy
+
+// GitLab (via proxy to avoid CORS)
+// Self-hosted instances are passed as `host` and must be allowlisted by the proxy
+// Note: GitLab's calendar only covers the last year, older ranges come back empty
+export const gitlabProvider = {
+    id: 'gitlab',
+    name: 'GitLab',
+    aliases: ['gl'],
+    autoDetect: true,
+
+    async fetch(username, { host }) {
+        const params = new URLSearchParams({ username });
+        if (host) params.set('host', host);
+        const response = await axios.get(`${GITLAB_API}?${params}`);
+        return response.data;
+    },
+
+    // GitLab format: { "2024-01-01": 5, "2024-01-02": 3, ... }
+    normalize(raw, range) {
+        // User exists but has no contributions - return empty grid
+        if (!raw || Object.keys(raw).length === 0) {
+            return generateEmptyGrid(range);
+        }
+        if (typeof raw !== 'object') return null;
+
+        return buildWeeks(countsToContributionMap(raw), range);
+    },
+
+    mapError(error, username, { host } = {}) {
+        return mapProxyError(error, { name: 'GitLab', username, host });
+    }
+};
@@ -0,0 +1,45 @@
+import { githubProvider } from './github';
+import { gitlabProvider } from './gitlab';
+import { codebergProvider, giteaProvider } from './gitea';
+
+// Contribution provider registry
+//
+// A provider is a plain object:
+//   id          - key used by `-p <id>` and ?platform=<id>
+//   name        - display name for the UI
+//   aliases     - extra names accepted by `-p`
+//   autoDetect  - include in auto-detect when no platform is given
+//   fetch(username, { range, hasRange, host, ...options }) -> raw response (throws on failure)
+//   normalize(raw, range) -> { weeks: [{ days }], range } or null if unparseable
+//                            (only counts matter, levels are computed by levels.js)
+//   mapError(error, username, options) -> status-line message
+const providers = new Map();
+
+export function registerProvider(provider) {
+    ['id', 'name', 'fetch', 'normalize', 'mapError'].forEach(key => {
+        if (!provider[key]) throw new Error(`Provider is missing "${key}"`);
+    });
+    providers.set(provider.id, provider);
+}
+
+// Look up a provider by id or alias (case-insensitive)
+export function getProvider(idOrAlias) {
+    if (!idOrAlias) return null;
+    const key = String(idOrAlias).toLowerCase();
+    if (providers.has(key)) return providers.get(key);
+    return listProviders().find(p => p.aliases?.includes(key)) ?? null;
+}
+
+export function listProviders() {
+    return [...providers.values()];
+}
+
+// Providers queried when the user didn't pick one
+export function getAutoDetectProviders() {
+    return listProviders().filter(p => p.autoDetect);
+}
+
+registerProvider(githubProvider);
+registerProvider(gitlabProvider);
+registerProvider(codebergProvider);
+registerProvider(giteaProvider);
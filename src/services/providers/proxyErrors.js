@@ -0,0 +1,34 @@
+// Map errors from the api/ proxies ({ error: { code, message, retryAfter } })
+// to status-line messages for a provider
+export function mapProxyError(error, { name, username, host }) {
+    const response = error.response;
+    const { code, retryAfter } = response?.data?.error ?? {};
+    const where = host ?? name;
+
+    switch (code) {
+        case 'USER_NOT_FOUND':
+            return `User "${username}" not found on ${where}`;
+        case 'INVALID_USERNAME':
+            return `"${username}" is not a valid ${name} username`;
+        case 'INVALID_RANGE':
+            return 'Invalid date range';
+        case 'HOST_NOT_ALLOWED':
+            return `${where} is not on this server's allowlist`;
+        case 'RATE_LIMITED':
+            return retryAfter
+                ? `${where} is rate limiting requests - try again in ${retryAfter}s`
+                : `${where} is rate limiting requests - try again later`;
+        case 'UPSTREAM_TIMEOUT':
+            return `${where} took too long to respond`;
+        case 'UPSTREAM_ERROR':
+            return `${where} is having trouble - try again later`;
+    }
+
+    if (!response) {
+        return 'Network error - check your connection';
+    }
+    if (response.status === 404) {
+        return 'API endpoint not found - deploy to Vercel first';
+    }
+    return `Failed to fetch ${name} data`;
+}
@@ -0,0 +1,167 @@
+import { parseISO, isValid } from 'date-fns';
+import { normalizeSeed } from './random';
+import { getProvider } from '../services/providers';
+import { MERGE_PLATFORM } from '../services/merge';
+import { isLevelStrategy } from '../services/levels';
+import { isPreset } from '../audio/presets';
+import { isSpatialMode } from '../audio/spatial';
+import { parseKey, isOctave } from '../music/scales';
+import { parseBpm, parsePercent, parseHumanize } from '../music/groove';
+import { isDayStepLength } from '../music/song';
+
+// Year between GitHub's launch and now, e.g. '2023'
+export function parseYear(value) {
+    const year = Number(value);
+    const valid = /^\d{4}$/.test(value) && year >= 2008 && year <= new Date().getFullYear();
+    return valid ? year : undefined;
+}
+
+// Calendar date in yyyy-MM-dd form
+export function parseDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && isValid(parseISO(value)) ? value : undefined;
+}
+
+// Hostname of a self-hosted instance, e.g. 'gitlab.example.com'
+// Scheme and path are dropped if pasted from the browser
+export function parseHost(value) {
+    const host = value.toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+    return /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*(:\d{1,5})?$/.test(host) ? host : undefined;
+}
+
+// Range of weeks to loop, 1-based and inclusive as typed: '10-18' -> { start: 9, end: 17 } (0-based columns)
+// The end is clamped to the song once it's loaded
+export function parseLoop(value) {
+    const match = /^(\d{1,3})-(\d{1,3})$/.exec(value ?? '');
+    if (!match) return undefined;
+    const [start, end] = [Number(match[1]), Number(match[2])];
+    return start >= 1 && end >= start ? { start: start - 1, end: end - 1 } : undefined;
+}
+
+// Loop range back to its typed form, null when there's no loop
+export function formatLoop(loop) {
+    return loop ? `${loop.start + 1}-${loop.end + 1}` : null;
+}
+
+// Flags understood by `gitmusic fetch <username> [flags]`
+// Each parser returns undefined for invalid values so the flag is left untouched
+// Boolean flags take no value
+const FLAGS = {
+    platform: {
+        names: ['-p', '--platform'],
+        parse: (value) => value.toLowerCase() === MERGE_PLATFORM ? MERGE_PLATFORM : getProvider(value)?.id
+    },
+    merge: {
+        names: ['-m', '--merge'],
+        boolean: true
+    },
+    refresh: {
+        names: ['-r', '--refresh'],
+        boolean: true
+    },
+    seed: {
+        names: ['-s', '--seed'],
+        parse: (value) => normalizeSeed(value) ?? undefined
+    },
+    year: {
+        names: ['-y', '--year'],
+        parse: parseYear
+    },
+    from: {
+        names: ['--from'],
+        parse: parseDate
+    },
+    to: {
+        names: ['--to'],
+        parse: parseDate
+    },
+    host: {
+        names: ['--host'],
+        parse: parseHost
+    },
+    levels: {
+        names: ['-l', '--levels'],
+        parse: (value) => isLevelStrategy(value.toLowerCase()) ? value.toLowerCase() : undefined
+    },
+    preset: {
+        names: ['--preset'],
+        parse: (value) => isPreset(value.toLowerCase()) ? value.toLowerCase() : undefined
+    },
+    key: {
+        names: ['-k', '--key'],
+        parse: parseKey
+    },
+    octave: {
+        names: ['--octave'],
+        parse: (value) => isOctave(Number(value)) ? Number(value) : undefined
+    },
+    spatial: {
+        names: ['--spatial'],
+        parse: (value) => isSpatialMode(value.toLowerCase()) ? value.toLowerCase() : undefined
+    },
+    loop: {
+        names: ['--loop'],
+        parse: parseLoop
+    },
+    // A number, or 'auto' (null) for the adaptive tempo
+    bpm: {
+        names: ['--bpm'],
+        parse: parseBpm
+    },
+    swing: {
+        names: ['--swing'],
+        parse: parsePercent
+    },
+    humanize: {
+        names: ['--humanize'],
+        parse: parseHumanize
+    },
+    // Daily playback, one step per day; --step sets its length (and implies --daily)
+    daily: {
+        names: ['--daily'],
+        boolean: true
+    },
+    step: {
+        names: ['--step'],
+        parse: (value) => isDayStepLength(value.toLowerCase()) ? value.toLowerCase() : undefined
+    }
+};
+
+// Sub-commands typed in place of a username
+const COMMANDS = ['import'];
+
+// Parse the raw command input into a command, username and options
+// `import [flags]` picks a local file instead of fetching a user
+export function parseCommand(input) {
+    const args = input.trim().split(/\s+/).filter(Boolean);
+    const command = COMMANDS.includes(args[0]?.toLowerCase()) ? args.shift().toLowerCase() : 'fetch';
+    const options = {};
+    const rest = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const entry = Object.entries(FLAGS).find(([, flag]) => flag.names.includes(args[i]));
+
+        if (entry?.[1].boolean) {
+            options[entry[0]] = true;
+            continue;
+        }
+
+        if (entry && i + 1 < args.length) {
+            const [key, flag] = entry;
+            const value = flag.parse(args[i + 1]);
+            if (value !== undefined) {
+                options[key] = value;
+                i++;
+                continue;
+            }
+        }
+        rest.push(args[i]);
+    }
+
+    // --merge is shorthand for -p all
+    if (options.merge) {
+        options.platform = MERGE_PLATFORM;
+        delete options.merge;
+    }
+
+    return { command, username: rest.join(' '), options };
+}
@@ -0,0 +1,54 @@
+// Seeded randomness so the same seed always produces the same song
+
+// FNV-1a hash: string -> unsigned 32-bit integer
+export function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Mulberry32 PRNG: returns a function yielding floats in [0, 1)
+export function createRng(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Pick one item from a list
+export function pick(list, rng) {
+    return list[Math.floor(rng() * list.length)];
+}
+
+// Fisher-Yates shuffle (returns a new array)
+export function shuffle(list, rng) {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Default seed: username + every day's count, as a short base36 string
+export function deriveSeed(username, data) {
+    const counts = data
+        ? data.weeks.map(w => w.days.map(d => d.count).join(',')).join(';')
+        : '';
+    return hashString(`${username.toLowerCase()}|${counts}`).toString(36);
+}
+
+// Seeds typed by the user or read from a link: keep them short and URL-safe
+export function normalizeSeed(value) {
+    if (value === null || value === undefined) return null;
+    const seed = String(value).trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 32);
+    return seed || null;
+}
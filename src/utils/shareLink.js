@@ -0,0 +1,66 @@
+import { normalizeSeed } from './random';
+import { parseYear, parseDate, parseHost, parseLoop } from './command';
+import { getProvider } from '../services/providers';
+import { MERGE_PLATFORM } from '../services/merge';
+import { isLevelStrategy } from '../services/levels';
+import { isPreset } from '../audio/presets';
+import { parseKey, isOctave } from '../music/scales';
+import { parseMixer } from '../audio/mixer';
+import { isSpatialMode } from '../audio/spatial';
+import { parseBpm, parsePercent, parseHumanize } from '../music/groove';
+import { isDayStepLength } from '../music/song';
+
+// Build a shareable link: /username?seed=...&year=...
+// Empty options are left out to keep links clean
+export function buildShareUrl(origin, username, params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== null && value !== undefined && value !== '') {
+            query.set(key, value);
+        }
+    });
+
+    const search = query.toString();
+    return `${origin}/${encodeURIComponent(username)}${search ? `?${search}` : ''}`;
+}
+
+// A malformed escape (/foo%zz) would throw, keep the raw segment instead
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+}
+
+// Read a shared link back (supports both /username and ?user=username formats)
+export function readShareUrl(location) {
+    const pathUser = location.pathname.split('/').filter(Boolean).pop();
+    const params = new URLSearchParams(location.search);
+
+    return {
+        username: pathUser ? decodeSegment(pathUser) : params.get('user'),
+        platform: params.get('platform') === MERGE_PLATFORM
+            ? MERGE_PLATFORM
+            : getProvider(params.get('platform'))?.id ?? null,
+        seed: normalizeSeed(params.get('seed')),
+        host: parseHost(params.get('host') ?? '') ?? null,
+        levels: isLevelStrategy(params.get('levels')) ? params.get('levels') : null,
+        preset: isPreset(params.get('preset')) ? params.get('preset') : null,
+        key: parseKey(params.get('key')) ?? null,
+        octave: isOctave(Number(params.get('octave'))) ? Number(params.get('octave')) : null,
+        mixer: parseMixer(params.get('mix')),
+        spatial: isSpatialMode(params.get('spatial')) ? params.get('spatial') : null,
+        loop: parseLoop(params.get('loop')) ?? null,
+        bpm: parseBpm(params.get('bpm')) ?? null,
+        swing: parsePercent(params.get('swing')) ?? null,
+        humanize: parseHumanize(params.get('humanize')) ?? null,
+        // ?daily=16n: daily playback and its step length
+        daily: isDayStepLength(params.get('daily')) ? params.get('daily') : null,
+        range: {
+            year: parseYear(params.get('year') ?? ''),
+            from: parseDate(params.get('from') ?? ''),
+            to: parseDate(params.get('to') ?? '')
+        }
+    };
+}
@@ -1,21 +1,51 @@
-import { defineConfig } from 'vite'
+import { existsSync } from 'node:fs'
+import { resolve } from 'node:path'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
-// https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  base: '/',
-  server: {
-    proxy: {
-      '/api/gitlab': {
-        target: 'https://gitlab.com',
-        changeOrigin: true,
-        rewrite: (path) => {
-          const url = new URL(path, 'http://localhost');
-          const username = url.searchParams.get('username');
-          return `/users/${username}/calendar.json`;
+// Serve the serverless functions in api/ from the dev server,
+// so local dev goes through the same host allowlists as production
+function serverlessApi() {
+  return {
+    name: 'serverless-api',
+    configureServer(server) {
+      server.middlewares.use('/api', async (req, res, next) => {
+        const url = new URL(req.url, 'http://localhost')
+        const name = url.pathname.replace(/^\/|\/$/g, '')
+        if (!/^[a-z-]+$/.test(name) || !existsSync(resolve(server.config.root, `api/${name}.js`))) {
+          return next()
+        }
+
+        // Minimal version of the Vercel request/response helpers
+        req.query = Object.fromEntries(url.searchParams)
+        res.status = (code) => {
+          res.statusCode = code
+          return res
+        }
+        res.json = (body) => {
+          res.setHeader('Content-Type', 'application/json')
+          res.end(JSON.stringify(body))
+          return res
+        }
+
+        try {
+          const handler = (await server.ssrLoadModule(`/api/${name}.js`)).default
+          await handler(req, res)
+        } catch (err) {
+          next(err)
         }
-      }
+      })
     }
   }
-})
\ No newline at end of file
+}
+
+// https://vite.dev/config/
+export default defineConfig(({ mode }) => {
+  // Expose .env files (e.g. GITLAB_ALLOWED_HOSTS) to the api/ functions in dev
+  Object.assign(process.env, loadEnv(mode, process.cwd(), ''))
+
+  return {
+    plugins: [react(), serverlessApi()],
+    base: '/',
+  }
+})